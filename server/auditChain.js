@@ -0,0 +1,54 @@
+import crypto from 'node:crypto'
+
+// Columns covered by an entry's hash, in a fixed order; seq/prevHash/hash are the chain itself.
+const HASHED_FIELDS = ['id', 'requestId', 'actorId', 'actionType', 'fromJson', 'toJson', 'note', 'createdAt']
+
+export function computeAuditHash(prevHash, row) {
+  const payload = JSON.stringify([prevHash ?? '', ...HASHED_FIELDS.map((f) => row[f] ?? null)])
+  return crypto.createHash('sha256').update(payload).digest('hex')
+}
+
+// Appends one entry to the global chain. entry carries the HASHED_FIELDS columns.
+export function appendAuditLog(db, entry) {
+  return db.transaction(() => {
+    const last = db.prepare('SELECT seq, hash FROM audit_logs ORDER BY seq DESC LIMIT 1').get()
+    const seq = (last?.seq ?? 0) + 1
+    const prevHash = last?.hash ?? null
+    const row = { ...entry, seq, prevHash, hash: computeAuditHash(prevHash, entry) }
+    db.prepare(
+      `
+      INSERT INTO audit_logs (id, requestId, actorId, actionType, fromJson, toJson, note, createdAt, seq, prevHash, hash)
+      VALUES (@id, @requestId, @actorId, @actionType, @fromJson, @toJson, @note, @createdAt, @seq, @prevHash, @hash)
+    `,
+    ).run(row)
+    return row
+  })()
+}
+
+// Walks the chain in seq order and stops at the first entry that was removed, reordered or altered.
+export function verifyAuditChain(db) {
+  const total = db.prepare('SELECT COUNT(1) AS c FROM audit_logs').get().c
+  let checked = 0
+  let prevHash = null
+  let expectedSeq = 1
+  for (const row of db.prepare('SELECT * FROM audit_logs ORDER BY seq ASC').iterate()) {
+    let reason = null
+    // Only appendAuditLog writes rows, and it always hashes them; anything else was inserted behind its back.
+    if (row.hash == null) reason = 'entry is not hashed'
+    else if (row.seq !== expectedSeq) reason = row.seq == null ? 'missing seq' : `expected seq ${expectedSeq}`
+    else if ((row.prevHash ?? null) !== prevHash) reason = 'prevHash does not match the previous entry'
+    else if (row.hash !== computeAuditHash(row.prevHash, row)) reason = 'hash does not match the entry content'
+    if (reason) {
+      return {
+        ok: false,
+        total,
+        checked,
+        brokenAt: { id: row.id, seq: row.seq, requestId: row.requestId, createdAt: row.createdAt, reason },
+      }
+    }
+    checked += 1
+    prevHash = row.hash
+    expectedSeq += 1
+  }
+  return { ok: true, total, checked, brokenAt: null, headHash: prevHash }
+}
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+
+import { startTestServer } from './testServer.js'
+
+let server
+let implementer
+
+before(async () => {
+  server = await startTestServer()
+  implementer = await server.createUser('carol', 'reviewer')
+})
+
+after(() => server?.stop())
+
+test('bulk assign requires an implementerId and an empty one unassigns', async () => {
+  const { api, createRequest } = server
+  const ids = [await createRequest('admin'), await createRequest('admin')]
+  const implementerOf = async (id) => (await api('admin', 'GET', `/api/requests/${id}`)).body.request.implementerId ?? null
+
+  const missing = await api('admin', 'POST', '/api/requests/bulk', { action: 'assign', ids })
+  assert.equal(missing.status, 400)
+  assert.equal(missing.body.message, 'implementerId required')
+
+  const assigned = await api('admin', 'POST', '/api/requests/bulk', { action: 'assign', ids, implementerId: implementer.id })
+  assert.equal(assigned.body.succeeded, 2)
+  for (const id of ids) assert.equal(await implementerOf(id), implementer.id)
+
+  const cleared = await api('admin', 'POST', '/api/requests/bulk', { action: 'assign', ids, implementerId: '' })
+  assert.equal(cleared.body.succeeded, 2)
+  for (const id of ids) assert.equal(await implementerOf(id), null)
+})
@@ -2,6 +2,8 @@ import Database from 'better-sqlite3'
 import path from 'node:path'
 import fs from 'node:fs'
 
+import { computeAuditHash } from './auditChain.js'
+
 const DEFAULT_DB_PATH = path.resolve(process.cwd(), 'data', 'urm.sqlite')
 
 export function getDbPath() {
@@ -34,7 +36,7 @@ export function migrate(db) {
       description TEXT NOT NULL,
       why TEXT NOT NULL,
       acceptanceCriteria TEXT,
-      status TEXT NOT NULL CHECK (status IN ('Submitted','NeedInfo','Accepted','Suspended','Rejected','Closed')),
+      status TEXT NOT NULL,
       category TEXT,
       domain TEXT,
       contactPerson TEXT,
@@ -49,17 +51,22 @@ export function migrate(db) {
       decisionReason TEXT,
       suspendUntil TEXT,
       suspendCondition TEXT,
+      duplicateOfId TEXT,
+      spaceId TEXT NOT NULL DEFAULT 'default',
+      isConfidential INTEGER NOT NULL DEFAULT 0,
       createdAt TEXT NOT NULL,
       updatedAt TEXT NOT NULL,
       FOREIGN KEY (requesterId) REFERENCES users(id),
       FOREIGN KEY (reviewerId) REFERENCES users(id),
-      FOREIGN KEY (implementerId) REFERENCES users(id)
+      FOREIGN KEY (implementerId) REFERENCES users(id),
+      FOREIGN KEY (duplicateOfId) REFERENCES requests(id) ON DELETE SET NULL
     );
 
     CREATE TABLE IF NOT EXISTS request_options (
       id TEXT PRIMARY KEY,
       type TEXT NOT NULL CHECK (type IN ('domain','tag','contact')),
       value TEXT NOT NULL,
+      spaceId TEXT NOT NULL DEFAULT 'default',
       createdAt TEXT NOT NULL
     );
 
@@ -68,6 +75,10 @@ export function migrate(db) {
       requestId TEXT NOT NULL,
       authorId TEXT NOT NULL,
       content TEXT NOT NULL,
+      parentId TEXT REFERENCES comments(id) ON DELETE CASCADE,
+      editedAt TEXT,
+      resolvedAt TEXT,
+      resolvedBy TEXT REFERENCES users(id),
       createdAt TEXT NOT NULL,
       FOREIGN KEY (requestId) REFERENCES requests(id) ON DELETE CASCADE,
       FOREIGN KEY (authorId) REFERENCES users(id)
@@ -86,25 +97,41 @@ export function migrate(db) {
       FOREIGN KEY (uploaderId) REFERENCES users(id)
     );
 
+    -- Append-only and hash-chained (see auditChain.js). requestId has no foreign key so the trail
+    -- outlives deleted requests, which leave a row in request_tombstones.
     CREATE TABLE IF NOT EXISTS audit_logs (
       id TEXT PRIMARY KEY,
       requestId TEXT NOT NULL,
       actorId TEXT NOT NULL,
-      actionType TEXT NOT NULL CHECK (actionType IN ('status_change','edit','comment','create')),
+      actionType TEXT NOT NULL,
       fromJson TEXT,
       toJson TEXT,
       note TEXT,
       createdAt TEXT NOT NULL,
-      FOREIGN KEY (requestId) REFERENCES requests(id) ON DELETE CASCADE,
+      seq INTEGER UNIQUE,
+      prevHash TEXT,
+      hash TEXT,
       FOREIGN KEY (actorId) REFERENCES users(id)
     );
 
+    CREATE TABLE IF NOT EXISTS request_tombstones (
+      id TEXT PRIMARY KEY,
+      spaceId TEXT NOT NULL,
+      title TEXT NOT NULL,
+      status TEXT NOT NULL,
+      requesterId TEXT NOT NULL,
+      snapshotJson TEXT NOT NULL,
+      deletedBy TEXT,
+      deletedAt TEXT NOT NULL
+    );
+
     CREATE TABLE IF NOT EXISTS board_messages (
       id TEXT PRIMARY KEY,
       content TEXT NOT NULL,
       authorId TEXT,
       isAnonymous INTEGER NOT NULL DEFAULT 0,
       isPinned INTEGER NOT NULL DEFAULT 0,
+      spaceId TEXT NOT NULL DEFAULT 'default',
       createdAt TEXT NOT NULL,
       FOREIGN KEY (authorId) REFERENCES users(id)
     );
@@ -128,10 +155,211 @@ export function migrate(db) {
       FOREIGN KEY (userId) REFERENCES users(id)
     );
 
+    CREATE TABLE IF NOT EXISTS notifications (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      requestId TEXT,
+      actorId TEXT,
+      type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      content TEXT,
+      isRead INTEGER NOT NULL DEFAULT 0,
+      createdAt TEXT NOT NULL,
+      FOREIGN KEY (userId) REFERENCES users(id),
+      FOREIGN KEY (requestId) REFERENCES requests(id) ON DELETE CASCADE,
+      FOREIGN KEY (actorId) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS workflows (
+      id TEXT PRIMARY KEY,
+      definitionJson TEXT NOT NULL,
+      updatedBy TEXT,
+      updatedAt TEXT NOT NULL,
+      FOREIGN KEY (updatedBy) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS sla_policies (
+      id TEXT PRIMARY KEY,
+      targetsJson TEXT NOT NULL,
+      updatedBy TEXT,
+      updatedAt TEXT NOT NULL,
+      FOREIGN KEY (updatedBy) REFERENCES users(id)
+    );
+
+    -- Named list filters; shared views are visible to everyone in the space.
+    CREATE TABLE IF NOT EXISTS saved_views (
+      id TEXT PRIMARY KEY,
+      spaceId TEXT NOT NULL,
+      ownerId TEXT NOT NULL,
+      name TEXT NOT NULL,
+      filtersJson TEXT NOT NULL,
+      sortJson TEXT,
+      hiddenColumnsJson TEXT,
+      isShared INTEGER NOT NULL DEFAULT 0,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL,
+      FOREIGN KEY (spaceId) REFERENCES spaces(id) ON DELETE CASCADE,
+      FOREIGN KEY (ownerId) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- Views a user pinned to their dashboard.
+    CREATE TABLE IF NOT EXISTS saved_view_pins (
+      userId TEXT NOT NULL,
+      viewId TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      PRIMARY KEY (userId, viewId),
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (viewId) REFERENCES saved_views(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS request_relations (
+      id TEXT PRIMARY KEY,
+      fromId TEXT NOT NULL,
+      toId TEXT NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('duplicate-of','blocks','depends-on','parent-of','related-to')),
+      createdBy TEXT,
+      createdAt TEXT NOT NULL,
+      FOREIGN KEY (fromId) REFERENCES requests(id) ON DELETE CASCADE,
+      FOREIGN KEY (toId) REFERENCES requests(id) ON DELETE CASCADE,
+      FOREIGN KEY (createdBy) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      eventsJson TEXT NOT NULL,
+      isActive INTEGER NOT NULL DEFAULT 1,
+      createdBy TEXT,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL,
+      FOREIGN KEY (createdBy) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      webhookId TEXT NOT NULL,
+      event TEXT NOT NULL,
+      requestId TEXT,
+      payloadJson TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('pending','success','failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt TEXT,
+      lastStatusCode INTEGER,
+      lastError TEXT,
+      responseBody TEXT,
+      deliveredAt TEXT,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL,
+      FOREIGN KEY (webhookId) REFERENCES webhooks(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS spaces (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      visibility TEXT NOT NULL DEFAULT 'own',
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL
+    );
+
+    -- role NULL means the member acts with their global users.role inside the space.
+    CREATE TABLE IF NOT EXISTS space_members (
+      spaceId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      role TEXT CHECK (role IN ('requester','reviewer','admin')),
+      createdAt TEXT NOT NULL,
+      PRIMARY KEY (spaceId, userId),
+      FOREIGN KEY (spaceId) REFERENCES spaces(id) ON DELETE CASCADE,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- source records why the user follows: 'manual' (关注 button), 'comment' or 'mention'.
+    CREATE TABLE IF NOT EXISTS request_watchers (
+      requestId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      source TEXT NOT NULL DEFAULT 'manual',
+      createdAt TEXT NOT NULL,
+      PRIMARY KEY (requestId, userId),
+      FOREIGN KEY (requestId) REFERENCES requests(id) ON DELETE CASCADE,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS comment_mentions (
+      commentId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      PRIMARY KEY (commentId, userId),
+      FOREIGN KEY (commentId) REFERENCES comments(id) ON DELETE CASCADE,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- Content a comment had before each edit; the live text stays in comments.content.
+    CREATE TABLE IF NOT EXISTS comment_versions (
+      id TEXT PRIMARY KEY,
+      commentId TEXT NOT NULL,
+      content TEXT NOT NULL,
+      editedBy TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      FOREIGN KEY (commentId) REFERENCES comments(id) ON DELETE CASCADE,
+      FOREIGN KEY (editedBy) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS comment_reactions (
+      commentId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      emoji TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      PRIMARY KEY (commentId, userId, emoji),
+      FOREIGN KEY (commentId) REFERENCES comments(id) ON DELETE CASCADE,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- Missing rows fall back to in-app on, email off.
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      userId TEXT NOT NULL,
+      eventType TEXT NOT NULL,
+      inApp INTEGER NOT NULL DEFAULT 1,
+      email INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (userId, eventType),
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- Rendered mails waiting for SMTP delivery; retried with backoff like webhook deliveries.
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id TEXT PRIMARY KEY,
+      userId TEXT,
+      toAddress TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('event','digest','test')),
+      requestId TEXT,
+      subject TEXT NOT NULL,
+      textBody TEXT NOT NULL,
+      htmlBody TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('pending','sent','failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt TEXT,
+      lastError TEXT,
+      sentAt TEXT,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT NOT NULL,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- Notifications held back for users on the daily digest until the next digest run.
+    CREATE TABLE IF NOT EXISTS email_digest_items (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      requestId TEXT,
+      type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      content TEXT,
+      createdAt TEXT NOT NULL,
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    );
+
     CREATE INDEX IF NOT EXISTS idx_requests_status ON requests(status);
     CREATE INDEX IF NOT EXISTS idx_requests_requester ON requests(requesterId);
     CREATE INDEX IF NOT EXISTS idx_requests_updatedAt ON requests(updatedAt);
-    CREATE UNIQUE INDEX IF NOT EXISTS idx_request_options_unique ON request_options(type, value);
     CREATE INDEX IF NOT EXISTS idx_comments_request ON comments(requestId);
     CREATE INDEX IF NOT EXISTS idx_audit_request ON audit_logs(requestId);
     CREATE INDEX IF NOT EXISTS idx_attachments_request ON attachments(requestId);
@@ -140,12 +368,35 @@ export function migrate(db) {
     CREATE INDEX IF NOT EXISTS idx_visit_stats_user_day ON visit_stats_user(day);
     CREATE INDEX IF NOT EXISTS idx_visit_stats_user_user ON visit_stats_user(userId);
     CREATE INDEX IF NOT EXISTS idx_visit_stats_user_role ON visit_stats_user(role);
+    CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(userId, isRead, createdAt);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_request_relations_unique ON request_relations(fromId, toId, type);
+    CREATE INDEX IF NOT EXISTS idx_request_relations_to ON request_relations(toId);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, nextAttemptAt);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhookId, createdAt);
+    CREATE INDEX IF NOT EXISTS idx_space_members_user ON space_members(userId);
+    CREATE INDEX IF NOT EXISTS idx_request_watchers_user ON request_watchers(userId);
+    CREATE INDEX IF NOT EXISTS idx_comment_mentions_user ON comment_mentions(userId);
+    CREATE INDEX IF NOT EXISTS idx_comment_versions_comment ON comment_versions(commentId, createdAt);
+    CREATE INDEX IF NOT EXISTS idx_saved_views_space ON saved_views(spaceId, ownerId);
+    CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, nextAttemptAt);
+    CREATE INDEX IF NOT EXISTS idx_email_digest_items_user ON email_digest_items(userId, createdAt);
   `)
 
+  const userColumns = db.prepare('PRAGMA table_info(users)').all().map((col) => col.name)
+  if (!userColumns.includes('email')) {
+    db.exec('ALTER TABLE users ADD COLUMN email TEXT')
+  }
+  if (!userColumns.includes('emailDigest')) {
+    db.exec('ALTER TABLE users ADD COLUMN emailDigest INTEGER NOT NULL DEFAULT 0')
+  }
+
   const boardColumns = db.prepare('PRAGMA table_info(board_messages)').all().map((col) => col.name)
   if (!boardColumns.includes('isPinned')) {
     db.exec('ALTER TABLE board_messages ADD COLUMN isPinned INTEGER NOT NULL DEFAULT 0')
   }
+  if (!boardColumns.includes('spaceId')) {
+    db.exec("ALTER TABLE board_messages ADD COLUMN spaceId TEXT NOT NULL DEFAULT 'default'")
+  }
 
   const requestColumns = db.prepare('PRAGMA table_info(requests)').all().map((col) => col.name)
   if (!requestColumns.includes('implementerId')) {
@@ -160,6 +411,71 @@ export function migrate(db) {
   if (!requestColumns.includes('deliveryMode')) {
     db.exec('ALTER TABLE requests ADD COLUMN deliveryMode TEXT')
   }
+  if (!requestColumns.includes('duplicateOfId')) {
+    db.exec('ALTER TABLE requests ADD COLUMN duplicateOfId TEXT REFERENCES requests(id) ON DELETE SET NULL')
+  }
+  if (!requestColumns.includes('spaceId')) {
+    db.exec("ALTER TABLE requests ADD COLUMN spaceId TEXT NOT NULL DEFAULT 'default'")
+  }
+  if (!requestColumns.includes('isConfidential')) {
+    db.exec('ALTER TABLE requests ADD COLUMN isConfidential INTEGER NOT NULL DEFAULT 0')
+  }
+  if (!requestColumns.includes('deletedAt')) {
+    db.exec('ALTER TABLE requests ADD COLUMN deletedAt TEXT')
+  }
+  if (!requestColumns.includes('deletedBy')) {
+    db.exec('ALTER TABLE requests ADD COLUMN deletedBy TEXT REFERENCES users(id)')
+  }
+  if (!requestColumns.includes('archivedAt')) {
+    db.exec('ALTER TABLE requests ADD COLUMN archivedAt TEXT')
+  }
+  const commentColumns = db.prepare('PRAGMA table_info(comments)').all().map((col) => col.name)
+  if (!commentColumns.includes('parentId')) {
+    db.exec('ALTER TABLE comments ADD COLUMN parentId TEXT REFERENCES comments(id) ON DELETE CASCADE')
+  }
+  if (!commentColumns.includes('editedAt')) {
+    db.exec('ALTER TABLE comments ADD COLUMN editedAt TEXT')
+  }
+  if (!commentColumns.includes('resolvedAt')) {
+    db.exec('ALTER TABLE comments ADD COLUMN resolvedAt TEXT')
+  }
+  if (!commentColumns.includes('resolvedBy')) {
+    db.exec('ALTER TABLE comments ADD COLUMN resolvedBy TEXT REFERENCES users(id)')
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parentId)')
+  const spaceColumns = db.prepare('PRAGMA table_info(spaces)').all().map((col) => col.name)
+  if (!spaceColumns.includes('visibility')) {
+    db.exec("ALTER TABLE spaces ADD COLUMN visibility TEXT NOT NULL DEFAULT 'own'")
+  }
+
+  // Statuses are defined by the configurable workflow, so the old fixed CHECK has to go.
+  const requestsSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'requests'").get()?.sql
+  if (requestsSql && requestsSql.includes("CHECK (status IN")) {
+    const columns = db
+      .prepare('PRAGMA table_info(requests)')
+      .all()
+      .map((col) => col.name)
+      .join(', ')
+    const createSql = requestsSql
+      .replace(/CREATE TABLE "?requests"?/, 'CREATE TABLE requests_new')
+      .replace(/\s*CHECK \(status IN \([^)]*\)\)/, '')
+    db.pragma('foreign_keys = OFF')
+    try {
+      db.transaction(() => {
+        db.exec(createSql)
+        db.exec(`INSERT INTO requests_new (${columns}) SELECT ${columns} FROM requests`)
+        db.exec('DROP TABLE requests')
+        db.exec('ALTER TABLE requests_new RENAME TO requests')
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_requests_status ON requests(status);
+          CREATE INDEX IF NOT EXISTS idx_requests_requester ON requests(requesterId);
+          CREATE INDEX IF NOT EXISTS idx_requests_updatedAt ON requests(updatedAt);
+        `)
+      })()
+    } finally {
+      db.pragma('foreign_keys = ON')
+    }
+  }
 
   const requestOptionsSql = db
     .prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'request_options'")
@@ -178,6 +494,145 @@ export function migrate(db) {
       ALTER TABLE request_options_new RENAME TO request_options;
     `)
   }
+
+  const requestOptionColumns = db.prepare('PRAGMA table_info(request_options)').all().map((col) => col.name)
+  if (!requestOptionColumns.includes('spaceId')) {
+    db.exec("ALTER TABLE request_options ADD COLUMN spaceId TEXT NOT NULL DEFAULT 'default'")
+  }
+  // Option values are unique per space, not globally.
+  db.exec(`
+    DROP INDEX IF EXISTS idx_request_options_unique;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_request_options_space ON request_options(spaceId, type, value);
+    CREATE INDEX IF NOT EXISTS idx_requests_space ON requests(spaceId, status);
+    CREATE INDEX IF NOT EXISTS idx_board_messages_space ON board_messages(spaceId, createdAt);
+  `)
+
+  // Everything that existed before spaces lives in the default space, and so do its users.
+  const seededAt = new Date().toISOString()
+  const seeded = db
+    .prepare("INSERT OR IGNORE INTO spaces (id, name, description, createdAt, updatedAt) VALUES ('default', '默认空间', NULL, ?, ?)")
+    .run(seededAt, seededAt)
+  if (seeded.changes) {
+    db.exec("INSERT OR IGNORE INTO space_members (spaceId, userId, role, createdAt) SELECT 'default', id, NULL, createdAt FROM users")
+  }
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_requests_duplicateOf ON requests(duplicateOfId)')
+  db.exec('CREATE INDEX IF NOT EXISTS idx_requests_deletedAt ON requests(deletedAt)')
+  // Duplicates marked before relations existed only have the column set.
+  db.exec(`
+    INSERT OR IGNORE INTO request_relations (id, fromId, toId, type, createdBy, createdAt)
+    SELECT lower(hex(randomblob(10))), id, duplicateOfId, 'duplicate-of', reviewerId, updatedAt
+    FROM requests WHERE duplicateOfId IS NOT NULL
+  `)
+
+  migrateAuditChain(db)
+  migrateSearchIndex(db)
+}
+
+function migrateAuditChain(db) {
+  // Older databases cascade-deleted audit rows with their request, restricted actionType and had no
+  // hash chain. Rebuilding the table is the one time existing entries get chained; afterwards rows
+  // are only ever added through appendAuditLog, and an unhashed row is reported as tampering.
+  const hasChain = db
+    .prepare('PRAGMA table_info(audit_logs)')
+    .all()
+    .some((c) => c.name === 'hash')
+  if (!hasChain) {
+    db.transaction(() => {
+      db.exec(`
+        CREATE TABLE audit_logs_new (
+          id TEXT PRIMARY KEY,
+          requestId TEXT NOT NULL,
+          actorId TEXT NOT NULL,
+          actionType TEXT NOT NULL,
+          fromJson TEXT,
+          toJson TEXT,
+          note TEXT,
+          createdAt TEXT NOT NULL,
+          seq INTEGER UNIQUE,
+          prevHash TEXT,
+          hash TEXT,
+          FOREIGN KEY (actorId) REFERENCES users(id)
+        );
+        INSERT INTO audit_logs_new (id, requestId, actorId, actionType, fromJson, toJson, note, createdAt)
+        SELECT id, requestId, actorId, actionType, fromJson, toJson, note, createdAt FROM audit_logs ORDER BY createdAt, rowid;
+        DROP TABLE audit_logs;
+        ALTER TABLE audit_logs_new RENAME TO audit_logs;
+        CREATE INDEX IF NOT EXISTS idx_audit_request ON audit_logs(requestId);
+      `)
+      // Chain the entries written before hashing existed, oldest first.
+      const rows = db.prepare('SELECT * FROM audit_logs ORDER BY rowid').all()
+      const update = db.prepare('UPDATE audit_logs SET seq = ?, prevHash = ?, hash = ? WHERE id = ?')
+      let prevHash = null
+      for (const [i, row] of rows.entries()) {
+        const hash = computeAuditHash(prevHash, row)
+        update.run(i + 1, prevHash, hash, row.id)
+        prevHash = hash
+      }
+    })()
+  }
+
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS trg_audit_logs_no_update BEFORE UPDATE ON audit_logs BEGIN
+      SELECT RAISE(ABORT, 'audit_logs is append-only');
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_audit_logs_no_delete BEFORE DELETE ON audit_logs BEGIN
+      SELECT RAISE(ABORT, 'audit_logs is append-only');
+    END;
+  `)
+}
+
+// One FTS row per request, rebuilt from the request, its comments and attachment names.
+const FTS_INSERT_SQL = `
+  INSERT INTO requests_fts (requestId, title, body, comments, attachments)
+  SELECT
+    r.id,
+    r.title,
+    COALESCE(r.description, '') || char(10) || COALESCE(r.why, '') || char(10) || COALESCE(r.acceptanceCriteria, ''),
+    (SELECT group_concat(c.content, char(10)) FROM comments c WHERE c.requestId = r.id),
+    (SELECT group_concat(a.filename, char(10)) FROM attachments a WHERE a.requestId = r.id)
+  FROM requests r`
+
+function ftsRefreshSql(idExpr) {
+  return `
+    DELETE FROM requests_fts WHERE requestId = ${idExpr};
+    ${FTS_INSERT_SQL} WHERE r.id = ${idExpr};`
+}
+
+function migrateSearchIndex(db) {
+  const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'requests_fts'").get()
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS requests_fts USING fts5(
+      requestId UNINDEXED, title, body, comments, attachments,
+      tokenize = 'trigram'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS trg_requests_fts_insert AFTER INSERT ON requests BEGIN
+      ${ftsRefreshSql('NEW.id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_requests_fts_update AFTER UPDATE OF title, description, why, acceptanceCriteria ON requests BEGIN
+      ${ftsRefreshSql('NEW.id')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_requests_fts_delete AFTER DELETE ON requests BEGIN
+      DELETE FROM requests_fts WHERE requestId = OLD.id;
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_comments_fts_insert AFTER INSERT ON comments BEGIN
+      ${ftsRefreshSql('NEW.requestId')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_comments_fts_update AFTER UPDATE OF content ON comments BEGIN
+      ${ftsRefreshSql('NEW.requestId')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_comments_fts_delete AFTER DELETE ON comments BEGIN
+      ${ftsRefreshSql('OLD.requestId')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_attachments_fts_insert AFTER INSERT ON attachments BEGIN
+      ${ftsRefreshSql('NEW.requestId')}
+    END;
+    CREATE TRIGGER IF NOT EXISTS trg_attachments_fts_delete AFTER DELETE ON attachments BEGIN
+      ${ftsRefreshSql('OLD.requestId')}
+    END;
+  `)
+  if (!exists) db.exec(FTS_INSERT_SQL)
 }
 
 export function toJson(value) {
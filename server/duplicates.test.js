@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+
+import { startTestServer } from './testServer.js'
+
+let server
+
+before(async () => {
+  server = await startTestServer()
+  await server.api('admin', 'PATCH', '/api/spaces/default/settings', { visibility: 'all' })
+  await server.createUser('alice')
+  await server.createUser('bob')
+})
+
+after(() => server?.stop())
+
+test('watchers of a duplicate follow the canonical request', async () => {
+  const { api, createRequest } = server
+  const canonical = await createRequest('admin', { title: 'canonical' })
+  const duplicate = await createRequest('bob', { title: 'duplicate' })
+  assert.equal((await api('alice', 'POST', `/api/requests/${duplicate}/watch`)).status, 200)
+
+  const marked = await api('admin', 'POST', `/api/requests/${duplicate}/duplicate`, { duplicateOfId: canonical })
+  assert.equal(marked.status, 200)
+
+  const detail = await api('admin', 'GET', `/api/requests/${canonical}`)
+  assert.ok(detail.body.watchers.some((w) => w.username === 'alice'))
+
+  await api('admin', 'POST', `/api/requests/${canonical}/comments`, { content: 'update' })
+  const notifications = await api('alice', 'GET', '/api/notifications')
+  assert.ok(notifications.body.list.some((n) => n.requestId === canonical && n.type === 'comment'))
+})
+
+test('a duplicate with open blockers is not closed', async () => {
+  const { api, createRequest } = server
+  const canonical = await createRequest('admin')
+  const duplicate = await createRequest('admin')
+  const blocker = await createRequest('admin')
+  await api('admin', 'POST', `/api/requests/${duplicate}/relations`, { type: 'depends-on', targetId: blocker })
+
+  const marked = await api('admin', 'POST', `/api/requests/${duplicate}/duplicate`, { duplicateOfId: canonical })
+  assert.equal(marked.status, 400)
+  assert.match(marked.body.message, new RegExp(`blocked by open requests: ${blocker}`))
+  assert.equal((await api('admin', 'GET', `/api/requests/${duplicate}`)).body.request.status, 'Submitted')
+})
+
+test('a finished request keeps its outcome when marked as duplicate', async () => {
+  const { api, createRequest } = server
+  const canonical = await createRequest('admin')
+  const duplicate = await createRequest('admin')
+  await api('admin', 'POST', `/api/requests/${duplicate}/status`, { toStatus: 'Rejected', reason: 'out of scope' })
+
+  const marked = await api('admin', 'POST', `/api/requests/${duplicate}/duplicate`, { duplicateOfId: canonical })
+  assert.equal(marked.status, 200)
+  const { request } = (await api('admin', 'GET', `/api/requests/${duplicate}`)).body
+  assert.equal(request.status, 'Rejected')
+  assert.equal(request.decisionReason, 'out of scope')
+  assert.equal(request.duplicateOfId, canonical)
+})
@@ -0,0 +1,114 @@
+const APP_NAME = 'AIRVIEW轻量级需求管理平台'
+
+const TYPE_LABELS = {
+  status_change: '状态变更',
+  need_info: '需要补充信息',
+  comment: '评论',
+  mention: '提到了你',
+  edit: '需求编辑',
+  attachment: '附件',
+  assigned: '指派实施',
+  test: '测试邮件',
+}
+
+function baseUrl() {
+  return (process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '')
+}
+
+export function appUrl(path) {
+  return `${baseUrl()}${path}`
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function greeting(user) {
+  return `${user.name || user.username}，你好：`
+}
+
+function layoutHtml(bodyHtml) {
+  const settingsUrl = appUrl('/settings/notifications')
+  return `<!doctype html>
+<html>
+<body style="margin:0;padding:24px;background:#f5f7fa;font-family:-apple-system,'PingFang SC','Microsoft YaHei',sans-serif;color:#303133;">
+  <div style="max-width:640px;margin:0 auto;background:#fff;border-radius:8px;padding:24px;">
+    ${bodyHtml}
+    <p style="margin-top:24px;font-size:12px;color:#909399;">
+      此邮件由 ${escapeHtml(APP_NAME)} 自动发送，请勿直接回复。<a href="${escapeHtml(settingsUrl)}" style="color:#909399;">修改通知设置</a>
+    </p>
+  </div>
+</body>
+</html>`
+}
+
+function footerText() {
+  return `\n--\n此邮件由 ${APP_NAME} 自动发送，请勿直接回复。\n修改通知设置：${appUrl('/settings/notifications')}\n`
+}
+
+function quoteHtml(content) {
+  return `<div style="margin:12px 0;padding:8px 12px;border-left:3px solid #dcdfe6;background:#f5f7fa;white-space:pre-wrap;">${escapeHtml(content)}</div>`
+}
+
+// One notification, e.g. a status change or a mention, linking back to the request.
+export function renderNotificationEmail({ user, type, title, content, requestId }) {
+  const url = requestId ? appUrl(`/requests/${encodeURIComponent(requestId)}`) : appUrl('/')
+  const subject = `[${TYPE_LABELS[type] ?? '通知'}] ${title}`
+  const text = [greeting(user), '', title, ...(content ? ['', content] : []), '', `查看需求：${url}`].join('\n') + footerText()
+  const html = layoutHtml(`
+    <p>${escapeHtml(greeting(user))}</p>
+    <p style="font-size:16px;font-weight:600;">${escapeHtml(title)}</p>
+    ${content ? quoteHtml(content) : ''}
+    <p><a href="${escapeHtml(url)}" style="display:inline-block;padding:8px 16px;background:#409eff;color:#fff;border-radius:4px;text-decoration:none;">查看需求</a></p>
+  `)
+  return { subject, text, html }
+}
+
+// Held notifications grouped per request, oldest first.
+export function renderDigestEmail({ user, items, date }) {
+  const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+  const groups = new Map()
+  for (const item of items) {
+    const key = item.requestId ?? ''
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(item)
+  }
+  const subject = `[每日摘要] ${day} 共 ${items.length} 条需求动态`
+  const textSections = []
+  const htmlSections = []
+  for (const [requestId, list] of groups) {
+    const url = requestId ? appUrl(`/requests/${encodeURIComponent(requestId)}`) : appUrl('/')
+    textSections.push(
+      [
+        requestId ? `#${requestId}  ${url}` : '其他',
+        ...list.map((item) => `- [${TYPE_LABELS[item.type] ?? '通知'}] ${item.title}${item.content ? `：${item.content}` : ''}`),
+      ].join('\n'),
+    )
+    htmlSections.push(`
+    <div style="margin-top:16px;">
+      <div style="font-weight:600;"><a href="${escapeHtml(url)}" style="color:#409eff;">${requestId ? `#${escapeHtml(requestId)}` : '其他'}</a></div>
+      <ul style="margin:6px 0;padding-left:20px;">
+        ${list
+          .map(
+            (item) =>
+              `<li style="margin:4px 0;"><span style="color:#909399;">[${escapeHtml(TYPE_LABELS[item.type] ?? '通知')}]</span> ${escapeHtml(item.title)}${
+                item.content ? `<div style="color:#606266;white-space:pre-wrap;">${escapeHtml(item.content)}</div>` : ''
+              }</li>`,
+          )
+          .join('\n')}
+      </ul>
+    </div>`)
+  }
+  const text = [greeting(user), '', `以下是你关注的需求在过去一天的动态：`, '', textSections.join('\n\n')].join('\n') + footerText()
+  const html = layoutHtml(`
+    <p>${escapeHtml(greeting(user))}</p>
+    <p>以下是你关注的需求在过去一天的动态：</p>
+    ${htmlSections.join('\n')}
+  `)
+  return { subject, text, html }
+}
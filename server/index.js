@@ -6,10 +6,61 @@ import { fileURLToPath } from 'node:url'
 import { nanoid } from 'nanoid'
 import bcrypt from 'bcryptjs'
 import multer from 'multer'
+import ExcelJS from 'exceljs'
 
+import { appendAuditLog, verifyAuditChain } from './auditChain.js'
 import { authMiddleware, requireRole, signToken } from './auth.js'
 import { fromJson, migrate, openDb, toJson } from './db.js'
-import { canEditRequest, canReview, canViewRequest, isReviewerLike, isTransitionAllowed } from './logic.js'
+import {
+  buildSnippet,
+  diceCoefficient,
+  escapeLike,
+  MIN_MATCH_LENGTH,
+  parseSearchQuery,
+  SNIPPET_CLOSE,
+  SNIPPET_OPEN,
+  textTrigrams,
+  toMatchExpression,
+} from './search.js'
+import { readSpreadsheetRows, toSpreadsheetText } from './spreadsheet.js'
+import {
+  enqueueWebhookEvent,
+  isValidWebhookUrl,
+  processWebhookQueue,
+  startWebhookWorker,
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS,
+} from './webhooks.js'
+import {
+  EMAIL_MAX_ATTEMPTS,
+  enqueueEmail,
+  isEmailEnabled,
+  isValidEmail,
+  processEmailOutbox,
+  startEmailWorker,
+} from './mailer.js'
+import { renderNotificationEmail } from './emailTemplates.js'
+import {
+  BLOCKED_CLOSE_STATUS,
+  canEditRequest,
+  canPerformTransition,
+  canViewRequest,
+  DEFAULT_SLA_TARGETS,
+  DEFAULT_WORKFLOW,
+  DRAFT_STATUS,
+  evaluateSla,
+  findSlaTarget,
+  findTransition,
+  isReviewerLike,
+  missingTransitionFields,
+  RELATION_TYPES,
+  statesAwaitingRequester,
+  statesEnteredWith,
+  transitionUsesField,
+  validateSlaTargets,
+  validateWorkflow,
+  VISIBILITY_POLICIES,
+} from './logic.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -40,6 +91,11 @@ const upload = multer({
   limits: { fileSize: 200 * 1024 * 1024 },
 })
 
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+})
+
 const SSO_CLIENT_ID = process.env.SSO_CLIENT_ID || process.env.W3_CLIENT_ID || 'airview_login'
 const SSO_CLIENT_SECRET = process.env.SSO_CLIENT_SECRET || process.env.W3_CLIENT_SECRET || 'airview_admin'
 const SSO_AUTHORIZE_URL = process.env.SSO_AUTHORIZE_URL || 'https://uniportal.huawei.com/saaslogin1/oauth2/authorize'
@@ -74,7 +130,11 @@ function generateRequestId(db, date = new Date()) {
   const stamp = formatDateStamp(date)
   const row = db
     .prepare(
-      "SELECT MAX(CAST(substr(id, 10) AS INTEGER)) AS maxSeq FROM requests WHERE id LIKE ? AND substr(id, 10) GLOB '[0-9]*'",
+      `
+      SELECT MAX(CAST(substr(id, 10) AS INTEGER)) AS maxSeq
+      FROM (SELECT id FROM requests UNION ALL SELECT id FROM request_tombstones)
+      WHERE id LIKE ? AND substr(id, 10) GLOB '[0-9]*'
+    `,
     )
     .get(`${stamp}_%`)
   const maxSeq = row?.maxSeq != null ? Number(row.maxSeq) : 0
@@ -82,41 +142,47 @@ function generateRequestId(db, date = new Date()) {
   return `${stamp}_${String(nextSeq).padStart(3, '0')}`
 }
 
-function ensureRequestOptions(type) {
+function ensureRequestOptions(type, spaceId) {
   const existingValues = new Set(
     db
-      .prepare('SELECT value FROM request_options WHERE type = ?')
-      .all(type)
+      .prepare('SELECT value FROM request_options WHERE type = ? AND spaceId = ?')
+      .all(type, spaceId)
       .map((row) => row.value),
   )
-  const insert = db.prepare('INSERT OR IGNORE INTO request_options (id, type, value, createdAt) VALUES (?, ?, ?, ?)')
+  const insert = db.prepare(
+    'INSERT OR IGNORE INTO request_options (id, type, value, spaceId, createdAt) VALUES (?, ?, ?, ?, ?)',
+  )
   const createdAt = nowIso()
   if (type === 'domain') {
     const rows = db
-      .prepare(`SELECT DISTINCT domain AS value FROM requests WHERE domain IS NOT NULL AND TRIM(domain) <> ''`)
-      .all()
+      .prepare(`SELECT DISTINCT domain AS value FROM requests WHERE spaceId = ? AND domain IS NOT NULL AND TRIM(domain) <> ''`)
+      .all(spaceId)
     for (const row of rows) {
       const value = String(row.value).trim()
       if (!value || existingValues.has(value)) continue
-      insert.run(nanoid(), 'domain', value, createdAt)
+      insert.run(nanoid(), 'domain', value, spaceId, createdAt)
       existingValues.add(value)
     }
     return
   }
   if (type === 'contact') {
     const rows = db
-      .prepare(`SELECT DISTINCT contactPerson AS value FROM requests WHERE contactPerson IS NOT NULL AND TRIM(contactPerson) <> ''`)
-      .all()
+      .prepare(
+        `SELECT DISTINCT contactPerson AS value FROM requests WHERE spaceId = ? AND contactPerson IS NOT NULL AND TRIM(contactPerson) <> ''`,
+      )
+      .all(spaceId)
     for (const row of rows) {
       const value = String(row.value).trim()
       if (!value || existingValues.has(value)) continue
-      insert.run(nanoid(), 'contact', value, createdAt)
+      insert.run(nanoid(), 'contact', value, spaceId, createdAt)
       existingValues.add(value)
     }
     return
   }
   if (type === 'tag') {
-    const rows = db.prepare("SELECT tagsJson FROM requests WHERE tagsJson IS NOT NULL AND tagsJson <> ''").all()
+    const rows = db
+      .prepare("SELECT tagsJson FROM requests WHERE spaceId = ? AND tagsJson IS NOT NULL AND tagsJson <> ''")
+      .all(spaceId)
     const tags = new Set()
     for (const row of rows) {
       const list = fromJson(row.tagsJson, [])
@@ -130,7 +196,7 @@ function ensureRequestOptions(type) {
       }
     }
     for (const value of tags) {
-      insert.run(nanoid(), 'tag', value, createdAt)
+      insert.run(nanoid(), 'tag', value, spaceId, createdAt)
       existingValues.add(value)
     }
   }
@@ -153,32 +219,36 @@ function normalizeTagList(value) {
   return [...tags]
 }
 
-function upsertRequestOption(type, value) {
+function upsertRequestOption(type, value, spaceId) {
   const normalized = normalizeOptionValue(value)
   if (!normalized) return
-  const exists = db.prepare('SELECT id FROM request_options WHERE type = ? AND value = ?').get(type, normalized)
+  const exists = db
+    .prepare('SELECT id FROM request_options WHERE type = ? AND value = ? AND spaceId = ?')
+    .get(type, normalized, spaceId)
   if (exists) return
-  db.prepare('INSERT INTO request_options (id, type, value, createdAt) VALUES (?, ?, ?, ?)').run(
+  db.prepare('INSERT INTO request_options (id, type, value, spaceId, createdAt) VALUES (?, ?, ?, ?, ?)').run(
     nanoid(),
     type,
     normalized,
+    spaceId,
     nowIso(),
   )
 }
 
-function updateRequestsForOptionChange(type, fromValue, toValue) {
+function updateRequestsForOptionChange(type, fromValue, toValue, spaceId) {
   if (!fromValue || !toValue || fromValue === toValue) return
   if (type === 'domain') {
-    db.prepare('UPDATE requests SET domain = ? WHERE domain = ?').run(toValue, fromValue)
+    db.prepare('UPDATE requests SET domain = ? WHERE domain = ? AND spaceId = ?').run(toValue, fromValue, spaceId)
     return
   }
   if (type === 'contact') {
-    db.prepare('UPDATE requests SET contactPerson = ? WHERE contactPerson = ?').run(toValue, fromValue)
+    db.prepare('UPDATE requests SET contactPerson = ? WHERE contactPerson = ? AND spaceId = ?').run(toValue, fromValue, spaceId)
     return
   }
   if (type !== 'tag') return
-  const escaped = String(fromValue).replaceAll('"', '')
-  const rows = db.prepare('SELECT id, tagsJson FROM requests WHERE tagsJson LIKE ?').all(`%\"${escaped}\"%`)
+  const rows = db
+    .prepare('SELECT id, tagsJson FROM requests WHERE spaceId = ? AND EXISTS (SELECT 1 FROM json_each(tagsJson) WHERE value = ?)')
+    .all(spaceId, fromValue)
   for (const row of rows) {
     const list = fromJson(row.tagsJson, [])
     if (!Array.isArray(list)) continue
@@ -344,6 +414,11 @@ function rowToRequest(row) {
     decisionReason: row.decisionReason ?? undefined,
     suspendUntil: row.suspendUntil ?? undefined,
     suspendCondition: row.suspendCondition ?? undefined,
+    duplicateOfId: row.duplicateOfId ?? undefined,
+    spaceId: row.spaceId,
+    confidential: Boolean(row.isConfidential),
+    archivedAt: row.archivedAt ?? undefined,
+    deletedAt: row.deletedAt ?? undefined,
     createdAt: row.createdAt,
     updatedAt: row.updatedAt,
   }
@@ -366,6 +441,16 @@ function rowToBoardMessage(row, viewer) {
   }
 }
 
+const DEFAULT_SPACE_ID = 'default'
+
+function joinDefaultSpace(userId) {
+  db.prepare('INSERT OR IGNORE INTO space_members (spaceId, userId, role, createdAt) VALUES (?, ?, NULL, ?)').run(
+    DEFAULT_SPACE_ID,
+    userId,
+    nowIso(),
+  )
+}
+
 function ensureAdminSeed() {
   const count = db.prepare('SELECT COUNT(1) AS c FROM users').get().c
   if (count > 0) return
@@ -382,20 +467,134 @@ function ensureAdminSeed() {
   db.prepare(
     'INSERT INTO users (id, username, name, role, passwordHash, createdAt) VALUES (@id, @username, @name, @role, @passwordHash, @createdAt)',
   ).run(admin)
+  joinDefaultSpace(admin.id)
   // eslint-disable-next-line no-console
   console.log(`[seed] admin created: username=admin password=${adminPassword}`)
 }
 
 ensureAdminSeed()
 
+// Internal actor for automated changes (e.g. the suspended-review scheduler); it cannot log in.
+const SYSTEM_USERNAME = '__system__'
+
+function ensureSystemUser() {
+  const existing = db.prepare('SELECT id, username, name, role, createdAt FROM users WHERE username = ?').get(SYSTEM_USERNAME)
+  if (existing) return existing
+  const user = {
+    id: nanoid(),
+    username: SYSTEM_USERNAME,
+    name: '系统',
+    role: 'reviewer',
+    passwordHash: bcrypt.hashSync(nanoid(24), 10),
+    createdAt: nowIso(),
+  }
+  db.prepare(
+    'INSERT INTO users (id, username, name, role, passwordHash, createdAt) VALUES (@id, @username, @name, @role, @passwordHash, @createdAt)',
+  ).run(user)
+  return { id: user.id, username: user.username, name: user.name, role: user.role, createdAt: user.createdAt }
+}
+
+const systemUser = { ...ensureSystemUser(), isSystem: true }
+
 function getUserById(id) {
-  return db.prepare('SELECT id, username, name, role, createdAt FROM users WHERE id = ?').get(id)
+  return db.prepare('SELECT id, username, name, role, email, createdAt FROM users WHERE id = ?').get(id)
 }
 
 function getUserByUsername(username) {
   return db.prepare('SELECT id, username, name, role, createdAt FROM users WHERE username = ?').get(username)
 }
 
+// Spaces a user can enter, with the role they act with there. Global admins administer every space.
+function listUserSpaces(user) {
+  if (user.role === 'admin') {
+    return db.prepare("SELECT id, name, description, visibility, 'admin' AS role FROM spaces ORDER BY createdAt ASC").all()
+  }
+  return db
+    .prepare(
+      `
+      SELECT s.id, s.name, s.description, s.visibility, COALESCE(m.role, ?) AS role
+      FROM spaces s
+      JOIN space_members m ON m.spaceId = s.id AND m.userId = ?
+      ORDER BY s.createdAt ASC
+      `,
+    )
+    .all(user.role, user.id)
+}
+
+// Resolves the space a call works in (the space of the addressed record, else the X-Space-Id header)
+// and swaps req.user.role for the caller's role in that space so requireRole and the permission
+// helpers apply space roles. The global role stays available as req.user.globalRole.
+function spaceScope(getSpaceId) {
+  return (req, res, next) => {
+    const user = getUserById(req.user.id)
+    if (!user) return res.status(401).json({ message: 'Unauthorized' })
+    const spaceId = getSpaceId(req) || String(req.get('x-space-id') || req.query.spaceId || DEFAULT_SPACE_ID)
+    const space = db.prepare('SELECT id, name, visibility FROM spaces WHERE id = ?').get(spaceId)
+    if (!space) return res.status(404).json({ message: 'space not found' })
+    let role = user.role
+    if (user.role !== 'admin') {
+      const member = db.prepare('SELECT role FROM space_members WHERE spaceId = ? AND userId = ?').get(space.id, user.id)
+      if (!member) return res.status(403).json({ message: 'not a member of this space' })
+      role = member.role ?? user.role
+    }
+    req.space = space
+    req.user = { ...req.user, role, globalRole: user.role }
+    next()
+  }
+}
+
+function isSpaceMember(spaceId, user) {
+  if (user.role === 'admin') return true
+  return !!db.prepare('SELECT 1 FROM space_members WHERE spaceId = ? AND userId = ?').get(spaceId, user.id)
+}
+
+function visibilityScope(user, space) {
+  if (space.visibility !== 'own_domain' || isReviewerLike(user.role)) return { visibility: space.visibility, domains: [] }
+  const domains = db
+    .prepare(
+      'SELECT DISTINCT domain FROM requests WHERE requesterId = ? AND spaceId = ? AND status <> ? AND domain IS NOT NULL AND deletedAt IS NULL',
+    )
+    .all(user.id, space.id, DRAFT_STATUS)
+    .map((row) => row.domain)
+  return { visibility: space.visibility, domains }
+}
+
+// SQL twin of canViewRequest for non-draft rows aliased `r`; callers merge the returned params.
+// Trashed requests are invisible to everyone outside the trash endpoints.
+function visibilityFilter(user, space) {
+  const live = 'r.deletedAt IS NULL'
+  if (isReviewerLike(user.role) || space.visibility === 'all') return { sql: live, params: {} }
+  const params = { visViewerId: user.id, visSpaceId: space.id }
+  const own = '(r.requesterId = @visViewerId OR r.implementerId = @visViewerId)'
+  if (space.visibility === 'own_domain') {
+    return {
+      sql: `${live} AND (${own} OR r.domain IN (
+        SELECT domain FROM requests
+        WHERE requesterId = @visViewerId AND spaceId = @visSpaceId AND status <> 'Draft' AND domain IS NOT NULL
+          AND deletedAt IS NULL
+      ))`,
+      params,
+    }
+  }
+  if (space.visibility === 'confidential') return { sql: `${live} AND (${own} OR r.isConfidential = 0)`, params }
+  return { sql: `${live} AND ${own}`, params }
+}
+
+// Answers 404 for requests in the trash, which only the trash endpoints may address.
+function rejectTrashed(getDeletedAt) {
+  return (req, res, next) => {
+    if (getDeletedAt(req)) return res.status(404).json({ message: 'not found' })
+    next()
+  }
+}
+
+const spaceAuth = [authMiddleware, spaceScope(() => null)]
+const requestSpaceAuth = [
+  authMiddleware,
+  spaceScope((req) => db.prepare('SELECT spaceId FROM requests WHERE id = ?').get(req.params.id)?.spaceId),
+  rejectTrashed((req) => db.prepare('SELECT deletedAt FROM requests WHERE id = ?').get(req.params.id)?.deletedAt),
+]
+
 function getUserAuthByUsername(username) {
   return db
     .prepare('SELECT id, username, name, role, passwordHash, createdAt FROM users WHERE username = ?')
@@ -412,8 +611,11 @@ function ensureSsoUser(userinfo) {
     err.code = 'SSO_USERNAME_MISSING'
     throw err
   }
+  const email = isValidEmail(userinfo?.email) ? String(userinfo.email).trim() : null
   const existing = getUserByUsername(username)
   if (existing) {
+    // Only fill in a missing address; one the user set themselves wins over the directory.
+    if (email) db.prepare('UPDATE users SET email = ? WHERE id = ? AND email IS NULL').run(email, existing.id)
     if (name && existing.name !== name) {
       db.prepare('UPDATE users SET name = ? WHERE id = ?').run(name, existing.id)
       return { ...existing, name }
@@ -427,24 +629,295 @@ function ensureSsoUser(userinfo) {
     name,
     role: 'requester',
     passwordHash: bcrypt.hashSync(nanoid(24), 10),
+    email,
     createdAt: t,
   }
   try {
     db.prepare(
-      'INSERT INTO users (id, username, name, role, passwordHash, createdAt) VALUES (@id, @username, @name, @role, @passwordHash, @createdAt)',
+      'INSERT INTO users (id, username, name, role, passwordHash, email, createdAt) VALUES (@id, @username, @name, @role, @passwordHash, @email, @createdAt)',
     ).run(user)
   } catch (e) {
     const fallback = getUserByUsername(username)
     if (fallback) return fallback
     throw e
   }
+  joinDefaultSpace(user.id)
   return { id: user.id, username: user.username, name: user.name, role: user.role, createdAt: user.createdAt }
 }
 
+// Comment edits, resolves and deletes have their own action types and send no webhook; only new comments fire 'comment'.
+const AUDIT_WEBHOOK_EVENTS = { create: 'created', edit: 'edited', status_change: 'status_change', comment: 'comment' }
+
 function addAudit({ requestId, actorId, actionType, fromValue, toValue, note }) {
-  db.prepare(
-    'INSERT INTO audit_logs (id, requestId, actorId, actionType, fromJson, toJson, note, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-  ).run(nanoid(), requestId, actorId, actionType, toJson(fromValue), toJson(toValue), note ?? null, nowIso())
+  appendAuditLog(db, {
+    id: nanoid(),
+    requestId,
+    actorId,
+    actionType,
+    fromJson: toJson(fromValue),
+    toJson: toJson(toValue),
+    note: note ?? null,
+    createdAt: nowIso(),
+  })
+  emitRequestEvent(AUDIT_WEBHOOK_EVENTS[actionType], requestId, actorId, {
+    fromValue: fromValue ?? null,
+    toValue: toValue ?? null,
+    note: note ?? null,
+  })
+}
+
+// Queues webhook deliveries for a request event; drafts are private and never leave the server.
+function emitRequestEvent(event, requestId, actorId, data) {
+  if (!event) return
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(requestId)
+  if (!row || row.status === DRAFT_STATUS) return
+  const actor = actorId ? getUserById(actorId) : null
+  const queued = enqueueWebhookEvent(db, event, {
+    request: rowToRequest(row),
+    actor: actor ? { id: actor.id, username: actor.username, name: actor.name } : null,
+    data,
+  })
+  if (queued) setImmediate(kickWebhookQueue)
+}
+
+function kickWebhookQueue() {
+  processWebhookQueue(db).catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error('webhook delivery failed', e)
+  })
+}
+
+let workflowCache = null
+
+function ensureWorkflowSeed() {
+  const row = db.prepare("SELECT id FROM workflows WHERE id = 'default'").get()
+  if (row) return
+  db.prepare("INSERT INTO workflows (id, definitionJson, updatedBy, updatedAt) VALUES ('default', ?, NULL, ?)").run(
+    JSON.stringify(DEFAULT_WORKFLOW),
+    nowIso(),
+  )
+}
+
+ensureWorkflowSeed()
+
+function getWorkflow() {
+  if (workflowCache) return workflowCache
+  const row = db.prepare("SELECT definitionJson FROM workflows WHERE id = 'default'").get()
+  const parsed = validateWorkflow(fromJson(row?.definitionJson, null))
+  workflowCache = parsed.workflow ?? DEFAULT_WORKFLOW
+  return workflowCache
+}
+
+let slaCache = null
+
+function getSlaTargets() {
+  if (slaCache) return slaCache
+  const row = db.prepare("SELECT targetsJson FROM sla_policies WHERE id = 'default'").get()
+  slaCache = row ? fromJson(row.targetsJson, []) : DEFAULT_SLA_TARGETS
+  return slaCache
+}
+
+// When each request (aliased `r`) entered its current status: its latest submit or status change.
+const STATUS_SINCE_SQL = `COALESCE(
+    (SELECT MAX(sl.createdAt) FROM audit_logs sl WHERE sl.requestId = r.id AND sl.actionType IN ('create', 'status_change')),
+    r.createdAt
+  )`
+
+// SQL yielding the SLA target in hours for rows aliased `r` (NULL when none applies); priority-specific
+// targets come before the `*` fallback so the CASE picks them first.
+function slaHoursSql(params) {
+  const targets = [...getSlaTargets()].sort((a, b) => (a.priority === '*') - (b.priority === '*'))
+  if (!targets.length) return 'NULL'
+  const cases = targets.map((t, i) => {
+    params[`slaStatus${i}`] = t.status
+    params[`slaHours${i}`] = t.hours
+    if (t.priority === '*') return `WHEN r.status = @slaStatus${i} THEN @slaHours${i}`
+    params[`slaPriority${i}`] = t.priority
+    return `WHEN r.status = @slaStatus${i} AND r.priority = @slaPriority${i} THEN @slaHours${i}`
+  })
+  return `(CASE ${cases.join(' ')} END)`
+}
+
+function withSla(request, row) {
+  if (!request || request.status === DRAFT_STATUS) return request
+  const sla = evaluateSla(getSlaTargets(), { status: request.status, priority: request.priority, since: row.statusSince })
+  return sla ? { ...request, sla } : request
+}
+
+function statusLabel(status) {
+  if (status === DRAFT_STATUS) return '草稿'
+  return getWorkflow().states.find((s) => s.key === status)?.label ?? status
+}
+
+function statusOrderSql(column) {
+  const cases = getWorkflow()
+    .states.map((s, index) => `WHEN '${s.key}' THEN ${index}`)
+    .join(' ')
+  return `CASE ${column} ${cases} ELSE 999 END`
+}
+
+function truncateText(value, max = 200) {
+  const text = String(value ?? '')
+  return text.length > max ? `${text.slice(0, max)}…` : text
+}
+
+// Notification types are grouped into the event types users configure preferences for.
+const NOTIFICATION_EVENTS = ['status_change', 'comment', 'edit', 'attachment', 'assigned']
+const NOTIFICATION_EVENT_OF_TYPE = { need_info: 'status_change', mention: 'comment' }
+
+function watchRequest(requestId, userId, source = 'manual') {
+  db.prepare('INSERT OR IGNORE INTO request_watchers (requestId, userId, source, createdAt) VALUES (?, ?, ?, ?)').run(
+    requestId,
+    userId,
+    source,
+    nowIso(),
+  )
+}
+
+function listRequestWatchers(requestId) {
+  return db
+    .prepare(
+      `
+      SELECT w.userId, w.source, w.createdAt, u.username, u.name
+      FROM request_watchers w
+      JOIN users u ON u.id = w.userId
+      WHERE w.requestId = ?
+      ORDER BY w.createdAt ASC
+      `,
+    )
+    .all(requestId)
+}
+
+// Checks a user other than the caller, e.g. watchers who may have lost access since subscribing or a mention target.
+function canUserViewRequest(request, userId) {
+  const user = getUserById(userId)
+  if (!user) return false
+  const space = db.prepare('SELECT id, name, visibility FROM spaces WHERE id = ?').get(request.spaceId)
+  if (!space) return false
+  let role = user.role
+  if (user.role !== 'admin') {
+    const member = db.prepare('SELECT role FROM space_members WHERE spaceId = ? AND userId = ?').get(space.id, user.id)
+    if (!member) return false
+    role = member.role ?? user.role
+  }
+  const viewer = { ...user, role }
+  return canViewRequest(viewer, request, visibilityScope(viewer, space))
+}
+
+function getNotificationPreferences(userId) {
+  const rows = db.prepare('SELECT eventType, inApp, email FROM notification_preferences WHERE userId = ?').all(userId)
+  return NOTIFICATION_EVENTS.map((eventType) => {
+    const row = rows.find((r) => r.eventType === eventType)
+    return { eventType, inApp: row ? Boolean(row.inApp) : true, email: row ? Boolean(row.email) : false }
+  })
+}
+
+// `@username` not preceded by a word character, so e-mail addresses are not read as mentions.
+const MENTION_PATTERN = /(?<![\w@])@([\w.-]*[\w-])/g
+
+// Resolves @username tokens to users who can see the request; unknown names stay plain text.
+function resolveMentions(request, content) {
+  const usernames = [...new Set([...String(content).matchAll(MENTION_PATTERN)].map((m) => m[1]))]
+  return usernames
+    .map((username) => getUserByUsername(username))
+    .filter((u) => u && u.username !== SYSTEM_USERNAME && canUserViewRequest(request, u.id))
+}
+
+function notifyRequestParticipants(request, { actorId, type, title, content, skipUserIds = [] }) {
+  const recipients = new Set([request.requesterId, request.reviewerId, request.implementerId].filter(Boolean))
+  // Requesters of duplicates keep following the canonical request, as long as they can open it.
+  for (const row of db.prepare('SELECT requesterId FROM requests WHERE duplicateOfId = ? AND deletedAt IS NULL').all(request.id)) {
+    if (!recipients.has(row.requesterId) && canUserViewRequest(request, row.requesterId)) recipients.add(row.requesterId)
+  }
+  for (const row of db.prepare('SELECT userId FROM request_watchers WHERE requestId = ?').all(request.id)) {
+    if (!recipients.has(row.userId) && row.userId !== actorId && canUserViewRequest(request, row.userId)) {
+      recipients.add(row.userId)
+    }
+  }
+  for (const userId of skipUserIds) recipients.delete(userId)
+  notifyUsers(recipients, { requestId: request.id, actorId, type, title, content })
+}
+
+// Inserts in-app notifications and queues mails, skipping the actor; each channel follows the
+// recipient's preference for this event type.
+function notifyUsers(userIds, { requestId, actorId, type, title, content }) {
+  const recipients = new Set(userIds)
+  recipients.delete(actorId)
+  if (!recipients.size) return
+  const eventType = NOTIFICATION_EVENT_OF_TYPE[type] ?? type
+  const preferences = db.prepare('SELECT userId, inApp, email FROM notification_preferences WHERE eventType = ?').all(eventType)
+  const inAppOff = new Set(preferences.filter((p) => !p.inApp).map((p) => p.userId))
+  const emailOn = new Set(preferences.filter((p) => p.email).map((p) => p.userId))
+  const insert = db.prepare(
+    'INSERT INTO notifications (id, userId, requestId, actorId, type, title, content, isRead, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)',
+  )
+  const t = nowIso()
+  for (const userId of recipients) {
+    if (inAppOff.has(userId)) continue
+    insert.run(nanoid(), userId, requestId, actorId ?? null, type, title, content ? truncateText(content) : null, t)
+  }
+  queueNotificationEmails(
+    [...recipients].filter((userId) => emailOn.has(userId)),
+    { requestId, type, title, content },
+  )
+}
+
+// Mails each user right away, or holds the notification for the daily digest if they chose one.
+function queueNotificationEmails(userIds, { requestId, type, title, content }) {
+  if (!userIds.length || !isEmailEnabled()) return
+  const body = content ? truncateText(content, 2000) : null
+  const t = nowIso()
+  let queued = false
+  for (const userId of userIds) {
+    const user = db.prepare('SELECT id, username, name, email, emailDigest FROM users WHERE id = ?').get(userId)
+    if (!user || !isValidEmail(user.email)) continue
+    if (user.emailDigest) {
+      db.prepare(
+        'INSERT INTO email_digest_items (id, userId, requestId, type, title, content, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      ).run(nanoid(), userId, requestId ?? null, type, title, body, t)
+      continue
+    }
+    const mail = renderNotificationEmail({ user, type, title, content: body, requestId })
+    enqueueEmail(db, { userId, to: user.email, kind: 'event', requestId, ...mail })
+    queued = true
+  }
+  if (queued) setImmediate(kickEmailOutbox)
+}
+
+function kickEmailOutbox() {
+  processEmailOutbox(db).catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error('email delivery failed', e)
+  })
+}
+
+// The newly assigned implementer gets a targeted notification instead of the generic one.
+function notifyAssignment(request, actor, implementerId, content) {
+  if (!implementerId || implementerId === request.implementerId) return []
+  notifyUsers([implementerId], {
+    requestId: request.id,
+    actorId: actor.id,
+    type: 'assigned',
+    title: `${actor.name || actor.username} 指派你实施需求「${request.title}」`,
+    content,
+  })
+  return [implementerId]
+}
+
+function rowToNotification(row) {
+  if (!row) return null
+  return {
+    id: row.id,
+    requestId: row.requestId ?? undefined,
+    actorId: row.actorId ?? undefined,
+    actorName: row.actorName ?? undefined,
+    actorUsername: row.actorUsername ?? undefined,
+    type: row.type,
+    title: row.title,
+    content: row.content ?? undefined,
+    read: Boolean(row.isRead),
+    createdAt: row.createdAt,
+  }
 }
 
 function normalizeFilename(name) {
@@ -485,7 +958,7 @@ app.post('/api/auth/login', (req, res) => {
   if (!username || !password) return res.status(400).json({ message: 'username/password required' })
 
   const user = getUserAuthByUsername(String(username))
-  if (!user) return res.status(401).json({ message: 'Invalid credentials' })
+  if (!user || user.username === SYSTEM_USERNAME) return res.status(401).json({ message: 'Invalid credentials' })
   const ok = bcrypt.compareSync(String(password), user.passwordHash)
   if (!ok) return res.status(401).json({ message: 'Invalid credentials' })
 
@@ -524,6 +997,7 @@ app.post('/api/auth/register', (req, res) => {
   } catch (e) {
     return res.status(400).json({ message: '用户名已存在' })
   }
+  joinDefaultSpace(user.id)
 
   const token = signToken({ id: user.id, role: user.role, name: user.name, username: user.username })
   return res.json({
@@ -625,37 +1099,191 @@ app.get('/authorize', async (req, res) => {
   }
 })
 
+// user.role is the role in the returned space; falls back to the default (or first) space when the
+// requested one is not accessible.
 app.get('/api/me', authMiddleware, (req, res) => {
   const u = getUserById(req.user.id)
   if (!u) return res.status(401).json({ message: 'Unauthorized' })
-  return res.json({ user: u })
+  const spaces = listUserSpaces(u)
+  const requested = String(req.get('x-space-id') || '')
+  const space =
+    spaces.find((s) => s.id === requested) ?? spaces.find((s) => s.id === DEFAULT_SPACE_ID) ?? spaces[0] ?? null
+  return res.json({ user: { ...u, role: space?.role ?? u.role, globalRole: u.role }, spaces, spaceId: space?.id ?? null })
+})
+
+app.get('/api/notifications', authMiddleware, (req, res) => {
+  const limitRaw = Number(req.query.limit ?? 20)
+  const limit = Math.min(100, Math.max(1, Number.isFinite(limitRaw) ? Math.floor(limitRaw) : 20))
+  const unreadOnly = req.query.unreadOnly === '1' || req.query.unreadOnly === 'true'
+  const list = db
+    .prepare(
+      `
+      SELECT n.*, u.name AS actorName, u.username AS actorUsername
+      FROM notifications n
+      LEFT JOIN users u ON u.id = n.actorId
+      WHERE n.userId = ? ${unreadOnly ? 'AND n.isRead = 0' : ''}
+      ORDER BY n.createdAt DESC
+      LIMIT ?
+      `,
+    )
+    .all(req.user.id, limit)
+    .map(rowToNotification)
+  const unreadCount = db
+    .prepare('SELECT COUNT(1) AS c FROM notifications WHERE userId = ? AND isRead = 0')
+    .get(req.user.id).c
+  return res.json({ list, unreadCount })
+})
+
+app.post('/api/notifications/read-all', authMiddleware, (req, res) => {
+  db.prepare('UPDATE notifications SET isRead = 1 WHERE userId = ? AND isRead = 0').run(req.user.id)
+  return res.json({ ok: true })
+})
+
+app.post('/api/notifications/:id/read', authMiddleware, (req, res) => {
+  const row = db.prepare('SELECT id, userId FROM notifications WHERE id = ?').get(req.params.id)
+  if (!row || row.userId !== req.user.id) return res.status(404).json({ message: 'not found' })
+  db.prepare('UPDATE notifications SET isRead = 1 WHERE id = ?').run(row.id)
+  return res.json({ ok: true })
+})
+
+function notificationSettings(userId) {
+  const user = db.prepare('SELECT email, emailDigest FROM users WHERE id = ?').get(userId)
+  return {
+    preferences: getNotificationPreferences(userId),
+    email: user?.email ?? null,
+    emailDigest: Boolean(user?.emailDigest),
+    emailEnabled: isEmailEnabled(),
+  }
+}
+
+app.get('/api/me/notification-preferences', authMiddleware, (req, res) => {
+  return res.json(notificationSettings(req.user.id))
+})
+
+app.put('/api/me/notification-preferences', authMiddleware, (req, res) => {
+  const input = Array.isArray(req.body?.preferences) ? req.body.preferences : null
+  if (!input) return res.status(400).json({ message: 'preferences required' })
+  if (input.some((p) => !NOTIFICATION_EVENTS.includes(p?.eventType))) {
+    return res.status(400).json({ message: 'invalid eventType' })
+  }
+  const email = req.body.email === undefined ? undefined : String(req.body.email ?? '').trim()
+  if (email && !isValidEmail(email)) return res.status(400).json({ message: 'invalid email' })
+  const upsert = db.prepare(
+    `
+    INSERT INTO notification_preferences (userId, eventType, inApp, email) VALUES (?, ?, ?, ?)
+    ON CONFLICT(userId, eventType) DO UPDATE SET inApp = excluded.inApp, email = excluded.email
+  `,
+  )
+  db.transaction(() => {
+    for (const p of input) upsert.run(req.user.id, p.eventType, p.inApp ? 1 : 0, p.email ? 1 : 0)
+    if (email !== undefined) db.prepare('UPDATE users SET email = ? WHERE id = ?').run(email || null, req.user.id)
+    if (req.body.emailDigest !== undefined) {
+      db.prepare('UPDATE users SET emailDigest = ? WHERE id = ?').run(req.body.emailDigest ? 1 : 0, req.user.id)
+    }
+  })()
+  return res.json(notificationSettings(req.user.id))
+})
+
+// Sends a sample notification through the outbox so the address and SMTP setup can be checked.
+app.post('/api/me/test-email', authMiddleware, (req, res) => {
+  if (!isEmailEnabled()) return res.status(400).json({ message: 'email is not configured' })
+  const user = db.prepare('SELECT id, username, name, email FROM users WHERE id = ?').get(req.user.id)
+  if (!isValidEmail(user?.email)) return res.status(400).json({ message: 'email required' })
+  const mail = renderNotificationEmail({ user, type: 'test', title: '这是一封测试邮件', content: '收到此邮件说明邮件通知已配置成功。' })
+  const id = enqueueEmail(db, { userId: user.id, to: user.email, kind: 'test', ...mail })
+  setImmediate(kickEmailOutbox)
+  return res.json({ ok: true, id })
+})
+
+app.get('/api/admin/email-outbox', authMiddleware, requireRole(['admin']), (req, res) => {
+  const page = Math.max(1, Number(req.query.page || 1))
+  const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize || 20)))
+  const status = String(req.query.status || '')
+  const whereSql = ['pending', 'sent', 'failed'].includes(status) ? 'WHERE o.status = @status' : ''
+  const params = { status }
+  const total = db.prepare(`SELECT COUNT(1) AS c FROM email_outbox o ${whereSql}`).get(params).c
+  const counts = Object.fromEntries(
+    db.prepare('SELECT status, COUNT(1) AS c FROM email_outbox GROUP BY status').all().map((row) => [row.status, row.c]),
+  )
+  const list = db
+    .prepare(
+      `
+      SELECT o.id, o.userId, o.toAddress, o.kind, o.requestId, o.subject, o.status, o.attempts, o.nextAttemptAt,
+        o.lastError, o.sentAt, o.createdAt, o.updatedAt, u.username AS username, u.name AS userName
+      FROM email_outbox o
+      LEFT JOIN users u ON u.id = o.userId
+      ${whereSql}
+      ORDER BY o.createdAt DESC
+      LIMIT @limit OFFSET @offset
+      `,
+    )
+    .all({ ...params, limit: pageSize, offset: (page - 1) * pageSize })
+    .map((row) => ({
+      ...row,
+      userId: row.userId ?? undefined,
+      requestId: row.requestId ?? undefined,
+      username: row.username ?? undefined,
+      userName: row.userName ?? undefined,
+    }))
+  return res.json({
+    list,
+    total,
+    page,
+    pageSize,
+    counts: { pending: counts.pending ?? 0, sent: counts.sent ?? 0, failed: counts.failed ?? 0 },
+    enabled: isEmailEnabled(),
+    maxAttempts: EMAIL_MAX_ATTEMPTS,
+  })
+})
+
+app.post('/api/admin/email-outbox/:id/retry', authMiddleware, requireRole(['admin']), (req, res) => {
+  const t = nowIso()
+  const info = db
+    .prepare("UPDATE email_outbox SET status = 'pending', attempts = 0, nextAttemptAt = ?, updatedAt = ? WHERE id = ? AND status <> 'pending'")
+    .run(t, t, req.params.id)
+  if (!info.changes) return res.status(400).json({ message: 'email not found or already pending' })
+  setImmediate(kickEmailOutbox)
+  return res.json({ ok: true })
 })
 
 app.get('/api/users', authMiddleware, requireRole(['admin']), (_req, res) => {
-  const users = db.prepare('SELECT id, username, name, role, createdAt FROM users ORDER BY createdAt DESC').all()
+  const users = db
+    .prepare('SELECT id, username, name, role, email, createdAt FROM users WHERE username <> ? ORDER BY createdAt DESC')
+    .all(SYSTEM_USERNAME)
   return res.json({ users })
 })
 
-app.get('/api/users/options', authMiddleware, requireRole(['reviewer', 'admin']), (_req, res) => {
-  const users = db.prepare('SELECT id, username, name, role FROM users ORDER BY createdAt DESC').all()
+app.get('/api/users/options', spaceAuth, requireRole(['reviewer', 'admin']), (req, res) => {
+  const users = db
+    .prepare(
+      `
+      SELECT u.id, u.username, u.name, COALESCE(m.role, u.role) AS role
+      FROM users u
+      JOIN space_members m ON m.userId = u.id AND m.spaceId = ?
+      WHERE u.username <> ?
+      ORDER BY u.createdAt DESC
+      `,
+    )
+    .all(req.space.id, SYSTEM_USERNAME)
   return res.json({ users })
 })
 
-app.get('/api/requests/options', authMiddleware, (_req, res) => {
-  ensureRequestOptions('domain')
-  ensureRequestOptions('contact')
-  ensureRequestOptions('tag')
+app.get('/api/requests/options', spaceAuth, (req, res) => {
+  const spaceId = req.space.id
+  ensureRequestOptions('domain', spaceId)
+  ensureRequestOptions('contact', spaceId)
+  ensureRequestOptions('tag', spaceId)
   const domains = db
-    .prepare(`SELECT value FROM request_options WHERE type = 'domain' ORDER BY value ASC`)
-    .all()
+    .prepare(`SELECT value FROM request_options WHERE type = 'domain' AND spaceId = ? ORDER BY value ASC`)
+    .all(spaceId)
     .map((row) => row.value)
   const contacts = db
-    .prepare(`SELECT value FROM request_options WHERE type = 'contact' ORDER BY value ASC`)
-    .all()
+    .prepare(`SELECT value FROM request_options WHERE type = 'contact' AND spaceId = ? ORDER BY value ASC`)
+    .all(spaceId)
     .map((row) => row.value)
   const tags = db
-    .prepare(`SELECT value FROM request_options WHERE type = 'tag' ORDER BY value ASC`)
-    .all()
+    .prepare(`SELECT value FROM request_options WHERE type = 'tag' AND spaceId = ? ORDER BY value ASC`)
+    .all(spaceId)
     .map((row) => row.value)
   const requesters = db
     .prepare(
@@ -663,72 +1291,243 @@ app.get('/api/requests/options', authMiddleware, (_req, res) => {
       SELECT DISTINCT u.id, u.name, u.username
       FROM requests r
       JOIN users u ON u.id = r.requesterId
+      WHERE r.status <> 'Draft' AND r.spaceId = ? AND r.deletedAt IS NULL
       ORDER BY u.name ASC, u.username ASC
       `,
     )
-    .all()
+    .all(spaceId)
   const implementers = db
     .prepare(
       `
       SELECT DISTINCT u.id, u.name, u.username
       FROM requests r
       JOIN users u ON u.id = r.implementerId
-      WHERE r.implementerId IS NOT NULL
+      WHERE r.implementerId IS NOT NULL AND r.spaceId = ? AND r.deletedAt IS NULL
       ORDER BY u.name ASC, u.username ASC
       `,
     )
-    .all()
-  return res.json({ domains, contacts, tags, requesters, implementers })
+    .all(spaceId)
+  const reviewers = db
+    .prepare(
+      `
+      SELECT DISTINCT u.id, u.name, u.username
+      FROM requests r
+      JOIN users u ON u.id = r.reviewerId
+      WHERE r.reviewerId IS NOT NULL AND r.spaceId = ? AND r.deletedAt IS NULL
+      ORDER BY u.name ASC, u.username ASC
+      `,
+    )
+    .all(spaceId)
+  return res.json({ domains, contacts, tags, requesters, implementers, reviewers })
 })
 
-app.get('/api/admin/request-options', authMiddleware, requireRole(['admin']), (req, res) => {
+app.get('/api/admin/request-options', spaceAuth, requireRole(['admin']), (req, res) => {
   const type = String(req.query.type || '').trim()
   if (!['domain', 'tag', 'contact'].includes(type)) return res.status(400).json({ message: 'invalid type' })
-  ensureRequestOptions(type)
+  ensureRequestOptions(type, req.space.id)
   const options = db
-    .prepare('SELECT id, type, value, createdAt FROM request_options WHERE type = ? ORDER BY value ASC')
-    .all(type)
+    .prepare('SELECT id, type, value, createdAt FROM request_options WHERE type = ? AND spaceId = ? ORDER BY value ASC')
+    .all(type, req.space.id)
   return res.json({ options })
 })
 
-app.post('/api/admin/request-options', authMiddleware, requireRole(['admin']), (req, res) => {
+app.post('/api/admin/request-options', spaceAuth, requireRole(['admin']), (req, res) => {
   const type = String(req.body?.type || '').trim()
   const value = normalizeOptionValue(req.body?.value)
   if (!['domain', 'tag', 'contact'].includes(type)) return res.status(400).json({ message: 'invalid type' })
   if (!value) return res.status(400).json({ message: 'value required' })
-  const exists = db.prepare('SELECT id FROM request_options WHERE type = ? AND value = ?').get(type, value)
+  const exists = db
+    .prepare('SELECT id FROM request_options WHERE type = ? AND value = ? AND spaceId = ?')
+    .get(type, value, req.space.id)
   if (exists) return res.status(400).json({ message: 'value exists' })
-  const option = { id: nanoid(), type, value, createdAt: nowIso() }
-  db.prepare('INSERT INTO request_options (id, type, value, createdAt) VALUES (@id, @type, @value, @createdAt)').run(option)
+  const option = { id: nanoid(), type, value, spaceId: req.space.id, createdAt: nowIso() }
+  db.prepare(
+    'INSERT INTO request_options (id, type, value, spaceId, createdAt) VALUES (@id, @type, @value, @spaceId, @createdAt)',
+  ).run(option)
   return res.json({ option })
 })
 
-app.patch('/api/admin/request-options/:id', authMiddleware, requireRole(['admin']), (req, res) => {
+app.patch('/api/admin/request-options/:id', spaceAuth, requireRole(['admin']), (req, res) => {
   const id = req.params.id
-  const row = db.prepare('SELECT id, type, value FROM request_options WHERE id = ?').get(id)
+  const row = db.prepare('SELECT id, type, value FROM request_options WHERE id = ? AND spaceId = ?').get(id, req.space.id)
   if (!row) return res.status(404).json({ message: 'not found' })
   const value = normalizeOptionValue(req.body?.value)
   if (!value) return res.status(400).json({ message: 'value required' })
   const exists = db
-    .prepare('SELECT id FROM request_options WHERE type = ? AND value = ? AND id <> ?')
-    .get(row.type, value, id)
+    .prepare('SELECT id FROM request_options WHERE type = ? AND value = ? AND spaceId = ? AND id <> ?')
+    .get(row.type, value, req.space.id, id)
   if (exists) return res.status(400).json({ message: 'value exists' })
   db.prepare('UPDATE request_options SET value = ? WHERE id = ?').run(value, id)
-  updateRequestsForOptionChange(row.type, row.value, value)
+  updateRequestsForOptionChange(row.type, row.value, value, req.space.id)
   return res.json({ ok: true })
 })
 
-app.delete('/api/admin/request-options/:id', authMiddleware, requireRole(['admin']), (req, res) => {
+app.delete('/api/admin/request-options/:id', spaceAuth, requireRole(['admin']), (req, res) => {
   const id = req.params.id
-  db.prepare('DELETE FROM request_options WHERE id = ?').run(id)
+  db.prepare('DELETE FROM request_options WHERE id = ? AND spaceId = ?').run(id, req.space.id)
   return res.json({ ok: true })
 })
 
+const IMPORT_COLUMN_ALIASES = {
+  title: ['title', '标题'],
+  description: ['description', '需求描述', '描述'],
+  why: ['why', '期望价值/收益', '价值'],
+  category: ['category', '分类'],
+  domain: ['domain', '领域'],
+  contactPerson: ['contactperson', '接口人'],
+  priority: ['priority', '优先级'],
+  tags: ['tags', '标签'],
+  links: ['links', '相关链接'],
+  requester: ['requester', '提交者'],
+}
+const IMPORT_FIELD_ERRORS = {
+  title: '缺少标题',
+  description: '缺少需求描述',
+  why: '缺少期望价值/收益',
+}
+
+function resolveImportColumns(headers) {
+  const columns = {}
+  for (const [field, aliases] of Object.entries(IMPORT_COLUMN_ALIASES)) {
+    const header = headers.find((h) => aliases.includes(h.toLowerCase()))
+    if (header) columns[field] = header
+  }
+  return columns
+}
+
+function splitList(value, pattern) {
+  return String(value || '')
+    .split(pattern)
+    .map((item) => item.trim())
+    .filter(Boolean)
+}
+
+function validateImportRow(record, columns, fallbackRequester, spaceId) {
+  const get = (field) => (columns[field] ? record.values[columns[field]] ?? '' : '')
+  const errors = []
+  const title = get('title')
+  const priority = get('priority').toUpperCase()
+  const category = get('category')
+  const requesterName = get('requester')
+  let requester = fallbackRequester
+  // Imported rows are created submitted, so they must pass the same checks as a submitted form.
+  for (const field of missingSubmitFields({ title, description: get('description'), why: get('why') })) {
+    errors.push(IMPORT_FIELD_ERRORS[field])
+  }
+  if (invalidRequestField({ priority })) errors.push(`未知优先级：${get('priority')}`)
+  if (invalidRequestField({ category })) errors.push(`未知分类：${category}`)
+  if (requesterName) {
+    requester = getUserByUsername(requesterName)
+    if (!requester) errors.push(`未知用户：${requesterName}`)
+    else if (!isSpaceMember(spaceId, requester)) errors.push(`用户未加入当前空间：${requesterName}`)
+  }
+  return {
+    rowNumber: record.rowNumber,
+    errors,
+    request: {
+      title,
+      description: get('description'),
+      why: get('why'),
+      category: category || null,
+      domain: normalizeOptionValue(get('domain')),
+      contactPerson: normalizeOptionValue(get('contactPerson')),
+      priority: priority || null,
+      tags: normalizeTagList(splitList(get('tags'), /[,，;；\n]/)),
+      links: splitList(get('links'), /\s+/),
+      requesterId: requester?.id ?? null,
+      requesterUsername: requester?.username ?? requesterName,
+    },
+  }
+}
+
+app.post('/api/admin/requests/import', spaceAuth, requireRole(['admin']), importUpload.single('file'), async (req, res) => {
+  const file = req.file
+  if (!file) return res.status(400).json({ message: 'file required' })
+  const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true'
+
+  let sheet
+  try {
+    sheet = await readSpreadsheetRows(file.buffer, normalizeFilename(file.originalname))
+  } catch (err) {
+    if (err?.code === 'UNSUPPORTED_FILE') return res.status(400).json({ message: '仅支持 .csv 或 .xlsx 文件' })
+    // eslint-disable-next-line no-console
+    console.error('import parse failed', err)
+    return res.status(400).json({ message: '文件解析失败' })
+  }
+
+  const columns = resolveImportColumns(sheet.headers)
+  if (!columns.title) return res.status(400).json({ message: '缺少“标题/title”列' })
+
+  const importer = getUserById(req.user.id)
+  const rows = sheet.records.map((record) => validateImportRow(record, columns, importer, req.space.id))
+  const invalid = rows.filter((row) => row.errors.length)
+  const report = {
+    dryRun,
+    total: rows.length,
+    valid: rows.length - invalid.length,
+    imported: 0,
+    rows: rows.map((row) => ({
+      rowNumber: row.rowNumber,
+      title: row.request.title,
+      requester: row.request.requesterUsername,
+      errors: row.errors,
+    })),
+  }
+  if (dryRun) return res.json(report)
+  if (invalid.length) return res.status(400).json({ ...report, message: `${invalid.length} 行存在错误，未导入` })
+  if (!rows.length) return res.status(400).json({ ...report, message: '没有可导入的数据' })
+
+  const insert = db.prepare(
+    `
+    INSERT INTO requests
+    (id,title,description,why,acceptanceCriteria,status,category,domain,contactPerson,deliveryMode,priority,tagsJson,linksJson,impactScope,requesterId,reviewerId,implementerId,decisionReason,suspendUntil,suspendCondition,spaceId,createdAt,updatedAt)
+    VALUES
+    (@id,@title,@description,@why,NULL,@status,@category,@domain,@contactPerson,NULL,@priority,@tagsJson,@linksJson,NULL,@requesterId,NULL,NULL,NULL,NULL,NULL,@spaceId,@createdAt,@updatedAt)
+  `,
+  )
+  const initialState = getWorkflow().initialState
+  const ids = db.transaction(() => {
+    const created = []
+    for (const row of rows) {
+      const t = nowIso()
+      const id = generateRequestId(db)
+      const r = row.request
+      insert.run({
+        id,
+        title: r.title,
+        description: r.description,
+        status: initialState,
+        why: r.why,
+        category: r.category,
+        domain: r.domain,
+        contactPerson: r.contactPerson,
+        priority: r.priority,
+        tagsJson: JSON.stringify(r.tags),
+        linksJson: JSON.stringify(r.links),
+        requesterId: r.requesterId,
+        spaceId: req.space.id,
+        createdAt: t,
+        updatedAt: t,
+      })
+      upsertRequestOption('domain', r.domain, req.space.id)
+      upsertRequestOption('contact', r.contactPerson, req.space.id)
+      for (const tag of r.tags) upsertRequestOption('tag', tag, req.space.id)
+      addAudit({ requestId: id, actorId: req.user.id, actionType: 'create', toValue: { status: initialState }, note: '批量导入' })
+      created.push(id)
+    }
+    return created
+  })()
+
+  return res.json({ ...report, imported: ids.length, ids })
+})
+
 app.post('/api/users', authMiddleware, requireRole(['admin']), (req, res) => {
   const { username, name, role, password } = req.body || {}
   if (!username || !name || !role || !password) return res.status(400).json({ message: 'missing fields' })
   if (!['requester', 'reviewer', 'admin'].includes(role)) return res.status(400).json({ message: 'invalid role' })
   if (String(password).length < 6) return res.status(400).json({ message: 'password too short' })
+  const email = String(req.body.email ?? '').trim() || null
+  if (email && !isValidEmail(email)) return res.status(400).json({ message: 'invalid email' })
 
   const t = nowIso()
   const user = {
@@ -737,16 +1536,18 @@ app.post('/api/users', authMiddleware, requireRole(['admin']), (req, res) => {
     name: String(name),
     role: String(role),
     passwordHash: bcrypt.hashSync(String(password), 10),
+    email,
     createdAt: t,
   }
   try {
     db.prepare(
-      'INSERT INTO users (id, username, name, role, passwordHash, createdAt) VALUES (@id, @username, @name, @role, @passwordHash, @createdAt)',
+      'INSERT INTO users (id, username, name, role, passwordHash, email, createdAt) VALUES (@id, @username, @name, @role, @passwordHash, @email, @createdAt)',
     ).run(user)
   } catch (e) {
     return res.status(400).json({ message: 'username already exists' })
   }
-  return res.json({ user: { id: user.id, username: user.username, name: user.name, role: user.role, createdAt: user.createdAt } })
+  joinDefaultSpace(user.id)
+  return res.json({ user: getUserById(user.id) })
 })
 
 app.patch('/api/users/:id', authMiddleware, requireRole(['admin']), (req, res) => {
@@ -771,26 +1572,516 @@ app.patch('/api/users/:id', authMiddleware, requireRole(['admin']), (req, res) =
     updates.push('passwordHash=@passwordHash')
     params.passwordHash = bcrypt.hashSync(String(password), 10)
   }
+  if (req.body?.email !== undefined) {
+    const email = String(req.body.email ?? '').trim()
+    if (email && !isValidEmail(email)) return res.status(400).json({ message: 'invalid email' })
+    updates.push('email=@email')
+    params.email = email || null
+  }
   if (!updates.length) return res.json({ user: u })
 
   db.prepare(`UPDATE users SET ${updates.join(', ')} WHERE id=@id`).run(params)
   return res.json({ user: getUserById(id) })
 })
 
-app.get('/api/dashboard/summary', authMiddleware, (req, res) => {
-  const user = req.user
-  void user
-  const rows = db.prepare(`SELECT status, COUNT(1) as c FROM requests GROUP BY status`).all()
-  const counts = { total: 0, Submitted: 0, NeedInfo: 0, Accepted: 0, Suspended: 0, Rejected: 0, Closed: 0 }
-  for (const r of rows) {
-    counts[r.status] = r.c
-    counts.total += r.c
-  }
-  return res.json({ counts })
-})
+const SPACE_ROLES = ['requester', 'reviewer', 'admin']
 
-app.get('/api/dashboard/trend', authMiddleware, (req, res) => {
-  const daysRaw = Number(req.query.days ?? 14)
+function listSpaceMembers(spaceId) {
+  return db
+    .prepare(
+      `
+      SELECT u.id AS userId, u.username, u.name, u.role AS globalRole, m.role, m.createdAt
+      FROM space_members m
+      JOIN users u ON u.id = m.userId
+      WHERE m.spaceId = ? AND u.username <> ?
+      ORDER BY m.createdAt ASC
+    `,
+    )
+    .all(spaceId, SYSTEM_USERNAME)
+    .map((row) => ({ ...row, role: row.role ?? null, effectiveRole: row.globalRole === 'admin' ? 'admin' : row.role ?? row.globalRole }))
+}
+
+app.get('/api/admin/spaces', authMiddleware, requireRole(['admin']), (_req, res) => {
+  const spaces = db
+    .prepare(
+      `
+      SELECT s.*,
+        (SELECT COUNT(1) FROM space_members m JOIN users u ON u.id = m.userId
+          WHERE m.spaceId = s.id AND u.username <> @system) AS memberCount,
+        (SELECT COUNT(1) FROM requests r WHERE r.spaceId = s.id) AS requestCount
+      FROM spaces s
+      ORDER BY s.createdAt ASC
+    `,
+    )
+    .all({ system: SYSTEM_USERNAME })
+  return res.json({ spaces })
+})
+
+app.post('/api/admin/spaces', authMiddleware, requireRole(['admin']), (req, res) => {
+  const name = String(req.body?.name || '').trim()
+  const description = String(req.body?.description || '').trim() || null
+  if (!name) return res.status(400).json({ message: 'name required' })
+  if (db.prepare('SELECT 1 FROM spaces WHERE name = ?').get(name)) return res.status(400).json({ message: 'name exists' })
+  const t = nowIso()
+  const space = { id: nanoid(), name, description, createdAt: t, updatedAt: t }
+  db.prepare(
+    'INSERT INTO spaces (id, name, description, createdAt, updatedAt) VALUES (@id, @name, @description, @createdAt, @updatedAt)',
+  ).run(space)
+  return res.json({ space })
+})
+
+app.patch('/api/admin/spaces/:id', authMiddleware, requireRole(['admin']), (req, res) => {
+  const space = db.prepare('SELECT * FROM spaces WHERE id = ?').get(req.params.id)
+  if (!space) return res.status(404).json({ message: 'not found' })
+  const name = req.body?.name !== undefined ? String(req.body.name).trim() : space.name
+  const description =
+    req.body?.description !== undefined ? String(req.body.description || '').trim() || null : space.description
+  if (!name) return res.status(400).json({ message: 'name required' })
+  if (db.prepare('SELECT 1 FROM spaces WHERE name = ? AND id <> ?').get(name, space.id)) {
+    return res.status(400).json({ message: 'name exists' })
+  }
+  db.prepare('UPDATE spaces SET name = ?, description = ?, updatedAt = ? WHERE id = ?').run(name, description, nowIso(), space.id)
+  return res.json({ space: db.prepare('SELECT * FROM spaces WHERE id = ?').get(space.id) })
+})
+
+app.delete('/api/admin/spaces/:id', authMiddleware, requireRole(['admin']), (req, res) => {
+  const id = req.params.id
+  if (id === DEFAULT_SPACE_ID) return res.status(400).json({ message: 'default space cannot be deleted' })
+  if (!db.prepare('SELECT 1 FROM spaces WHERE id = ?').get(id)) return res.status(404).json({ message: 'not found' })
+  if (db.prepare('SELECT 1 FROM requests WHERE spaceId = ? LIMIT 1').get(id)) {
+    return res.status(400).json({ message: 'space still has requests' })
+  }
+  db.transaction(() => {
+    db.prepare('DELETE FROM request_options WHERE spaceId = ?').run(id)
+    db.prepare('DELETE FROM board_messages WHERE spaceId = ?').run(id)
+    db.prepare('DELETE FROM spaces WHERE id = ?').run(id)
+  })()
+  return res.json({ ok: true })
+})
+
+// Membership is managed by admins of the space itself (global admins included).
+const spaceAdminAuth = [authMiddleware, spaceScope((req) => req.params.id), requireRole(['admin'])]
+
+app.patch('/api/spaces/:id/settings', spaceAdminAuth, (req, res) => {
+  const visibility = String(req.body?.visibility || '')
+  if (!VISIBILITY_POLICIES.includes(visibility)) return res.status(400).json({ message: 'invalid visibility' })
+  db.prepare('UPDATE spaces SET visibility = ?, updatedAt = ? WHERE id = ?').run(visibility, nowIso(), req.space.id)
+  return res.json({ space: db.prepare('SELECT * FROM spaces WHERE id = ?').get(req.space.id) })
+})
+
+app.get('/api/spaces/:id/members', spaceAdminAuth, (req, res) => {
+  return res.json({ members: listSpaceMembers(req.space.id) })
+})
+
+app.post('/api/spaces/:id/members', spaceAdminAuth, (req, res) => {
+  const username = String(req.body?.username || '').trim()
+  const role = req.body?.role ? String(req.body.role) : null
+  if (role && !SPACE_ROLES.includes(role)) return res.status(400).json({ message: 'invalid role' })
+  const user = username && username !== SYSTEM_USERNAME ? getUserByUsername(username) : null
+  if (!user) return res.status(400).json({ message: 'user not found' })
+  const result = db
+    .prepare('INSERT OR IGNORE INTO space_members (spaceId, userId, role, createdAt) VALUES (?, ?, ?, ?)')
+    .run(req.space.id, user.id, role, nowIso())
+  if (!result.changes) return res.status(400).json({ message: 'already a member' })
+  return res.json({ members: listSpaceMembers(req.space.id) })
+})
+
+app.patch('/api/spaces/:id/members/:userId', spaceAdminAuth, (req, res) => {
+  const role = req.body?.role ? String(req.body.role) : null
+  if (role && !SPACE_ROLES.includes(role)) return res.status(400).json({ message: 'invalid role' })
+  const result = db
+    .prepare('UPDATE space_members SET role = ? WHERE spaceId = ? AND userId = ?')
+    .run(role, req.space.id, req.params.userId)
+  if (!result.changes) return res.status(404).json({ message: 'not found' })
+  return res.json({ members: listSpaceMembers(req.space.id) })
+})
+
+app.delete('/api/spaces/:id/members/:userId', spaceAdminAuth, (req, res) => {
+  db.prepare('DELETE FROM space_members WHERE spaceId = ? AND userId = ?').run(req.space.id, req.params.userId)
+  return res.json({ members: listSpaceMembers(req.space.id) })
+})
+
+app.get('/api/admin/audit/verify', authMiddleware, requireRole(['admin']), (_req, res) => {
+  return res.json(verifyAuditChain(db))
+})
+
+app.get('/api/workflow', authMiddleware, (req, res) => {
+  return res.json({ workflow: getWorkflow() })
+})
+
+app.get('/api/admin/workflow', authMiddleware, requireRole(['admin']), (req, res) => {
+  return res.json({ workflow: getWorkflow(), defaultWorkflow: DEFAULT_WORKFLOW })
+})
+
+app.put('/api/admin/workflow', authMiddleware, requireRole(['admin']), (req, res) => {
+  const parsed = validateWorkflow(req.body?.workflow)
+  if (parsed.error) return res.status(400).json({ message: parsed.error })
+  const keys = new Set(parsed.workflow.states.map((s) => s.key))
+  const used = db.prepare("SELECT status, COUNT(1) as c FROM requests WHERE status <> 'Draft' GROUP BY status").all()
+  const orphan = used.find((r) => !keys.has(r.status))
+  if (orphan) return res.status(400).json({ message: `状态 ${orphan.status} 仍有 ${orphan.c} 条需求在使用，不能删除` })
+
+  db.prepare("UPDATE workflows SET definitionJson = ?, updatedBy = ?, updatedAt = ? WHERE id = 'default'").run(
+    JSON.stringify(parsed.workflow),
+    req.user.id,
+    nowIso(),
+  )
+  workflowCache = parsed.workflow
+  return res.json({ workflow: parsed.workflow })
+})
+
+app.get('/api/admin/sla', authMiddleware, requireRole(['admin']), (_req, res) => {
+  return res.json({ targets: getSlaTargets(), defaultTargets: DEFAULT_SLA_TARGETS })
+})
+
+app.put('/api/admin/sla', authMiddleware, requireRole(['admin']), (req, res) => {
+  const parsed = validateSlaTargets(req.body?.targets, getWorkflow())
+  if (parsed.error) return res.status(400).json({ message: parsed.error })
+  db.prepare(
+    `
+    INSERT INTO sla_policies (id, targetsJson, updatedBy, updatedAt) VALUES ('default', @targetsJson, @updatedBy, @updatedAt)
+    ON CONFLICT(id) DO UPDATE SET targetsJson = excluded.targetsJson, updatedBy = excluded.updatedBy, updatedAt = excluded.updatedAt
+  `,
+  ).run({ targetsJson: JSON.stringify(parsed.targets), updatedBy: req.user.id, updatedAt: nowIso() })
+  slaCache = parsed.targets
+  return res.json({ targets: parsed.targets })
+})
+
+function rowToWebhook(row) {
+  if (!row) return null
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    events: fromJson(row.eventsJson, []),
+    isActive: !!row.isActive,
+    hasSecret: !!row.secret,
+    pendingCount: row.pendingCount ?? 0,
+    failedCount: row.failedCount ?? 0,
+    lastDeliveryStatus: row.lastDeliveryStatus ?? undefined,
+    lastDeliveryAt: row.lastDeliveryAt ?? undefined,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+  }
+}
+
+function readWebhookInput(body, existing) {
+  const name = String(body.name ?? existing?.name ?? '').trim()
+  const url = String(body.url ?? existing?.url ?? '').trim()
+  const secret = body.secret ? String(body.secret) : existing?.secret
+  const events = body.events !== undefined ? body.events : fromJson(existing?.eventsJson, [])
+  if (!name) return { error: 'name required' }
+  if (!isValidWebhookUrl(url)) return { error: 'invalid url' }
+  if (!secret) return { error: 'secret required' }
+  if (!Array.isArray(events) || events.some((e) => !WEBHOOK_EVENTS.includes(e))) return { error: 'invalid events' }
+  const isActive = body.isActive !== undefined ? !!body.isActive : existing ? !!existing.isActive : true
+  return { value: { name, url, secret, eventsJson: JSON.stringify([...new Set(events)]), isActive: isActive ? 1 : 0 } }
+}
+
+app.get('/api/admin/webhooks', authMiddleware, requireRole(['admin']), (_req, res) => {
+  const webhooks = db
+    .prepare(
+      `
+      SELECT
+        w.*,
+        (SELECT COUNT(1) FROM webhook_deliveries d WHERE d.webhookId = w.id AND d.status = 'pending') AS pendingCount,
+        (SELECT COUNT(1) FROM webhook_deliveries d WHERE d.webhookId = w.id AND d.status = 'failed') AS failedCount,
+        (SELECT d.status FROM webhook_deliveries d WHERE d.webhookId = w.id ORDER BY d.createdAt DESC LIMIT 1) AS lastDeliveryStatus,
+        (SELECT MAX(d.createdAt) FROM webhook_deliveries d WHERE d.webhookId = w.id) AS lastDeliveryAt
+      FROM webhooks w
+      ORDER BY w.createdAt ASC
+    `,
+    )
+    .all()
+    .map(rowToWebhook)
+  return res.json({ webhooks, events: WEBHOOK_EVENTS })
+})
+
+app.post('/api/admin/webhooks', authMiddleware, requireRole(['admin']), (req, res) => {
+  const parsed = readWebhookInput(req.body || {}, null)
+  if (parsed.error) return res.status(400).json({ message: parsed.error })
+  const t = nowIso()
+  const row = { id: nanoid(), ...parsed.value, createdBy: req.user.id, createdAt: t, updatedAt: t }
+  db.prepare(
+    `
+    INSERT INTO webhooks (id, name, url, secret, eventsJson, isActive, createdBy, createdAt, updatedAt)
+    VALUES (@id, @name, @url, @secret, @eventsJson, @isActive, @createdBy, @createdAt, @updatedAt)
+  `,
+  ).run(row)
+  return res.json({ webhook: rowToWebhook(row) })
+})
+
+app.patch('/api/admin/webhooks/:id', authMiddleware, requireRole(['admin']), (req, res) => {
+  const existing = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(req.params.id)
+  if (!existing) return res.status(404).json({ message: 'not found' })
+  const parsed = readWebhookInput(req.body || {}, existing)
+  if (parsed.error) return res.status(400).json({ message: parsed.error })
+  const row = { ...existing, ...parsed.value, updatedAt: nowIso() }
+  db.prepare(
+    'UPDATE webhooks SET name=@name, url=@url, secret=@secret, eventsJson=@eventsJson, isActive=@isActive, updatedAt=@updatedAt WHERE id=@id',
+  ).run(row)
+  return res.json({ webhook: rowToWebhook(row) })
+})
+
+app.delete('/api/admin/webhooks/:id', authMiddleware, requireRole(['admin']), (req, res) => {
+  const info = db.prepare('DELETE FROM webhooks WHERE id = ?').run(req.params.id)
+  if (!info.changes) return res.status(404).json({ message: 'not found' })
+  return res.json({ ok: true })
+})
+
+// Sends a ping through the normal queue so signing and retries can be checked end to end.
+app.post('/api/admin/webhooks/:id/test', authMiddleware, requireRole(['admin']), (req, res) => {
+  const hook = db.prepare('SELECT id FROM webhooks WHERE id = ?').get(req.params.id)
+  if (!hook) return res.status(404).json({ message: 'not found' })
+  const user = req.user
+  enqueueWebhookEvent(
+    db,
+    'ping',
+    { request: null, actor: { id: user.id, username: user.username, name: user.name }, data: { note: 'webhook test' } },
+    { webhookId: hook.id },
+  )
+  setImmediate(kickWebhookQueue)
+  return res.json({ ok: true })
+})
+
+app.get('/api/admin/webhooks/:id/deliveries', authMiddleware, requireRole(['admin']), (req, res) => {
+  const hook = db.prepare('SELECT id FROM webhooks WHERE id = ?').get(req.params.id)
+  if (!hook) return res.status(404).json({ message: 'not found' })
+  const page = Math.max(1, Number(req.query.page || 1))
+  const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize || 20)))
+  const status = String(req.query.status || '')
+  const where = ['webhookId = @webhookId']
+  if (['pending', 'success', 'failed'].includes(status)) where.push('status = @status')
+  const whereSql = `WHERE ${where.join(' AND ')}`
+  const params = { webhookId: hook.id, status }
+  const total = db.prepare(`SELECT COUNT(1) AS c FROM webhook_deliveries ${whereSql}`).get(params).c
+  const list = db
+    .prepare(`SELECT * FROM webhook_deliveries ${whereSql} ORDER BY createdAt DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit: pageSize, offset: (page - 1) * pageSize })
+    .map((row) => ({
+      id: row.id,
+      event: row.event,
+      requestId: row.requestId ?? undefined,
+      payload: fromJson(row.payloadJson, null),
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.nextAttemptAt ?? undefined,
+      lastStatusCode: row.lastStatusCode ?? undefined,
+      lastError: row.lastError ?? undefined,
+      responseBody: row.responseBody ?? undefined,
+      deliveredAt: row.deliveredAt ?? undefined,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+    }))
+  return res.json({ list, total, page, pageSize, maxAttempts: WEBHOOK_MAX_ATTEMPTS })
+})
+
+app.post('/api/admin/webhook-deliveries/:id/retry', authMiddleware, requireRole(['admin']), (req, res) => {
+  const t = nowIso()
+  const info = db
+    .prepare("UPDATE webhook_deliveries SET status = 'pending', attempts = 0, nextAttemptAt = ?, updatedAt = ? WHERE id = ? AND status <> 'pending'")
+    .run(t, t, req.params.id)
+  if (!info.changes) return res.status(400).json({ message: 'delivery not found or already pending' })
+  setImmediate(kickWebhookQueue)
+  return res.json({ ok: true })
+})
+
+app.get('/api/dashboard/summary', spaceAuth, (req, res) => {
+  const visibility = visibilityFilter(req.user, req.space)
+  const rows = db
+    .prepare(
+      `SELECT r.status, COUNT(1) as c FROM requests r
+       WHERE r.status <> 'Draft' AND r.spaceId = @spaceId AND ${visibility.sql}
+       GROUP BY r.status`,
+    )
+    .all({ spaceId: req.space.id, ...visibility.params })
+  const counts = { total: 0 }
+  for (const s of getWorkflow().states) counts[s.key] = 0
+  for (const r of rows) {
+    counts[r.status] = r.c
+    counts.total += r.c
+  }
+  return res.json({ counts })
+})
+
+app.get('/api/dashboard/suspended-due', spaceAuth, requireRole(['reviewer', 'admin']), (req, res) => {
+  const daysRaw = Number(req.query.days ?? 7)
+  const days = Math.min(30, Math.max(1, Number.isFinite(daysRaw) ? Math.floor(daysRaw) : 7))
+  const end = new Date()
+  end.setDate(end.getDate() + days)
+  const list = db
+    .prepare(
+      `
+      SELECT r.id, r.title, r.suspendUntil, r.suspendCondition, r.reviewerId, u.name AS reviewerName, u.username AS reviewerUsername
+      FROM requests r
+      LEFT JOIN users u ON u.id = r.reviewerId
+      WHERE r.spaceId = ? AND r.status IN (SELECT value FROM json_each(?)) AND r.deletedAt IS NULL
+        AND r.suspendUntil IS NOT NULL AND TRIM(r.suspendUntil) <> ''
+        AND substr(r.suspendUntil, 1, 10) <= ?
+      ORDER BY r.suspendUntil ASC
+      LIMIT 50
+    `,
+    )
+    .all(req.space.id, JSON.stringify(statesEnteredWith(getWorkflow(), 'suspendUntil')), formatDateKey(end))
+  return res.json({ days, list })
+})
+
+function median(values) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  const value = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+  return Math.round(value * 10) / 10
+}
+
+// Current SLA breaches plus review lead time: a review is the move out of the initial state, timed from
+// when the request (re-)entered it. Breaches count open overdue requests and reviews that took too long.
+app.get('/api/dashboard/sla', spaceAuth, requireRole(['reviewer', 'admin']), (req, res) => {
+  const daysRaw = Number(req.query.days ?? 90)
+  const days = Math.min(365, Math.max(7, Number.isFinite(daysRaw) ? Math.floor(daysRaw) : 90))
+  const startIso = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+  const workflow = getWorkflow()
+  const targets = getSlaTargets()
+  const visibility = visibilityFilter(req.user, req.space)
+  const params = { spaceId: req.space.id, ...visibility.params }
+
+  const reviewers = new Map()
+  const domains = new Map()
+  const groupOf = (map, key) => {
+    if (!map.has(key)) map.set(key, { hours: [], breached: 0, openBreached: 0 })
+    return map.get(key)
+  }
+
+  const overdue = new Map()
+  const openRows = db
+    .prepare(
+      `
+      SELECT r.id, r.status, r.priority, r.domain, r.reviewerId, ${STATUS_SINCE_SQL} AS statusSince
+      FROM requests r
+      WHERE r.spaceId = @spaceId AND r.status <> 'Draft' AND ${visibility.sql}
+    `,
+    )
+    .all(params)
+  for (const row of openRows) {
+    const sla = evaluateSla(targets, { status: row.status, priority: row.priority, since: row.statusSince })
+    if (!sla || sla.state === 'ok') continue
+    if (!overdue.has(row.status)) overdue.set(row.status, { status: row.status, breached: 0, warning: 0 })
+    overdue.get(row.status)[sla.state] += 1
+    if (sla.state !== 'breached') continue
+    groupOf(reviewers, row.reviewerId ?? '').openBreached += 1
+    groupOf(domains, row.domain ?? '').openBreached += 1
+  }
+
+  const enteredAt = new Map()
+  const events = db
+    .prepare(
+      `
+      SELECT l.requestId, l.actorId, l.fromJson, l.createdAt, r.priority, r.domain
+      FROM audit_logs l
+      JOIN requests r ON r.id = l.requestId
+      WHERE r.spaceId = @spaceId AND r.status <> 'Draft' AND ${visibility.sql}
+        AND l.actionType IN ('create', 'status_change')
+      ORDER BY l.seq ASC
+    `,
+    )
+    .all(params)
+  for (const e of events) {
+    const from = fromJson(e.fromJson, null)?.status
+    const since = enteredAt.get(e.requestId)
+    enteredAt.set(e.requestId, e.createdAt)
+    if (from !== workflow.initialState || !since || e.createdAt < startIso || e.actorId === systemUser.id) continue
+    const hours = (new Date(e.createdAt).getTime() - new Date(since).getTime()) / 3600000
+    const target = findSlaTarget(targets, workflow.initialState, e.priority)
+    const breached = !!target && hours > target.hours
+    for (const group of [groupOf(reviewers, e.actorId), groupOf(domains, e.domain ?? '')]) {
+      group.hours.push(hours)
+      if (breached) group.breached += 1
+    }
+  }
+
+  const summarize = (g) => ({ reviews: g.hours.length, medianHours: median(g.hours), breached: g.breached, openBreached: g.openBreached })
+  const byBreaches = (a, b) => (b.openBreached + b.breached) - (a.openBreached + a.breached) || b.reviews - a.reviews
+  const allHours = [...reviewers.values()].flatMap((g) => g.hours)
+  return res.json({
+    days,
+    overdue: [...overdue.values()],
+    totals: {
+      openBreached: [...overdue.values()].reduce((sum, o) => sum + o.breached, 0),
+      reviews: allHours.length,
+      medianHours: median(allHours),
+    },
+    reviewers: [...reviewers.entries()]
+      .map(([userId, g]) => {
+        const u = userId ? getUserById(userId) : null
+        return { userId: userId || null, name: u?.name ?? null, username: u?.username ?? null, ...summarize(g) }
+      })
+      .sort(byBreaches)
+      .slice(0, 20),
+    domains: [...domains.entries()]
+      .map(([domain, g]) => ({ domain: domain || null, ...summarize(g) }))
+      .sort(byBreaches)
+      .slice(0, 20),
+  })
+})
+
+// The reviewer's queues: new submissions, requests waiting on the requester that they have since
+// commented on, suspended requests due for review within `days`, and accepted requests the caller implements.
+app.get('/api/workbench', spaceAuth, requireRole(['reviewer', 'admin']), (req, res) => {
+  const daysRaw = Number(req.query.days ?? 7)
+  const days = Math.min(30, Math.max(1, Number.isFinite(daysRaw) ? Math.floor(daysRaw) : 7))
+  const end = new Date()
+  end.setDate(end.getDate() + days)
+  const visibility = visibilityFilter(req.user, req.space)
+  const workflow = getWorkflow()
+  const params = {
+    ...visibility.params,
+    spaceId: req.space.id,
+    viewerId: req.user.id,
+    initialState: workflow.initialState,
+    needInfoStates: JSON.stringify(statesAwaitingRequester(workflow)),
+    suspendedStates: JSON.stringify(statesEnteredWith(workflow, 'suspendUntil')),
+    acceptedStates: JSON.stringify(statesEnteredWith(workflow, 'implementerId')),
+    dueDate: formatDateKey(end),
+  }
+  const queue = (condition, orderSql) =>
+    db
+      .prepare(
+        `
+        ${requestListSelect('')}
+        WHERE r.spaceId = @spaceId AND ${visibility.sql} AND ${condition}
+        ${orderSql}
+        LIMIT 200
+      `,
+      )
+      .all(params)
+      .map((row) => withSla(rowToRequest(row), row))
+
+  return res.json({
+    days,
+    queues: {
+      review: queue('r.status = @initialState', 'ORDER BY statusSince ASC'),
+      answered: queue(
+        `r.status IN (SELECT value FROM json_each(@needInfoStates)) AND EXISTS (
+          SELECT 1 FROM comments c WHERE c.requestId = r.id AND c.authorId = r.requesterId AND c.createdAt > ${STATUS_SINCE_SQL}
+        )`,
+        'ORDER BY statusSince ASC',
+      ),
+      suspendedDue: queue(
+        `r.status IN (SELECT value FROM json_each(@suspendedStates))
+          AND r.suspendUntil IS NOT NULL AND TRIM(r.suspendUntil) <> ''
+          AND substr(r.suspendUntil, 1, 10) <= @dueDate`,
+        'ORDER BY r.suspendUntil ASC',
+      ),
+      implementing: queue(
+        'r.status IN (SELECT value FROM json_each(@acceptedStates)) AND r.implementerId = @viewerId',
+        'ORDER BY r.updatedAt ASC',
+      ),
+    },
+  })
+})
+
+app.get('/api/dashboard/trend', spaceAuth, (req, res) => {
+  const daysRaw = Number(req.query.days ?? 14)
   const days = Math.min(90, Math.max(7, Number.isFinite(daysRaw) ? Math.floor(daysRaw) : 14))
 
   const end = new Date()
@@ -798,16 +2089,18 @@ app.get('/api/dashboard/trend', authMiddleware, (req, res) => {
   const start = new Date(end)
   start.setUTCDate(start.getUTCDate() - (days - 1))
   const startIso = start.toISOString()
+  const visibility = visibilityFilter(req.user, req.space)
+  const params = { startIso, spaceId: req.space.id, ...visibility.params }
 
   const createdRows = db
     .prepare(
-      `SELECT substr(createdAt, 1, 10) as d, COUNT(1) as c
-       FROM requests
-       WHERE createdAt >= ?
+      `SELECT substr(r.createdAt, 1, 10) as d, COUNT(1) as c
+       FROM requests r
+       WHERE r.createdAt >= @startIso AND r.status <> 'Draft' AND r.spaceId = @spaceId AND ${visibility.sql}
        GROUP BY d
        ORDER BY d ASC`,
     )
-    .all(startIso)
+    .all(params)
 
   const statusRows = db
     .prepare(
@@ -818,12 +2111,13 @@ app.get('/api/dashboard/trend', authMiddleware, (req, res) => {
         SUM(CASE WHEN actionType='status_change' AND toJson LIKE '%"status":"Rejected"%' THEN 1 ELSE 0 END) as rejected,
         SUM(CASE WHEN actionType='status_change' AND toJson LIKE '%"status":"Closed"%' THEN 1 ELSE 0 END) as closed
       FROM audit_logs
-      WHERE createdAt >= ?
+      WHERE createdAt >= @startIso
+        AND requestId IN (SELECT r.id FROM requests r WHERE r.spaceId = @spaceId AND ${visibility.sql})
       GROUP BY d
       ORDER BY d ASC
     `,
     )
-    .all(startIso)
+    .all(params)
 
   const createdMap = new Map(createdRows.map((r) => [r.d, r.c]))
   const statusMap = new Map(
@@ -857,11 +2151,13 @@ app.get('/api/dashboard/trend', authMiddleware, (req, res) => {
   return res.json({ dates, created, accepted, rejected, closed })
 })
 
-app.get('/api/dashboard/leaderboard', authMiddleware, (req, res) => {
+app.get('/api/dashboard/leaderboard', spaceAuth, (req, res) => {
   const daysRaw = Number(req.query.days ?? 0)
   const days = Number.isFinite(daysRaw) && daysRaw > 0 ? Math.min(365, Math.floor(daysRaw)) : 0
   const startIso = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null
   const timeFilter = startIso ? 'AND r.createdAt >= @startIso' : ''
+  const visibility = visibilityFilter(req.user, req.space)
+  const params = { startIso, spaceId: req.space.id, ...visibility.params }
 
   const submitters = db
     .prepare(
@@ -869,13 +2165,13 @@ app.get('/api/dashboard/leaderboard', authMiddleware, (req, res) => {
       SELECT u.id, u.name, u.username, COUNT(1) AS c
       FROM requests r
       JOIN users u ON u.id = r.requesterId
-      WHERE 1=1 ${timeFilter}
+      WHERE r.status <> 'Draft' AND r.spaceId = @spaceId AND ${visibility.sql} ${timeFilter}
       GROUP BY r.requesterId
       ORDER BY c DESC, u.createdAt ASC
       LIMIT 10
     `,
     )
-    .all({ startIso })
+    .all(params)
     .map((row) => ({ userId: row.id, name: row.name, username: row.username, count: row.c }))
 
   const implementers = db
@@ -884,14 +2180,14 @@ app.get('/api/dashboard/leaderboard', authMiddleware, (req, res) => {
       SELECT u.id, u.name, u.username, COUNT(1) AS c
       FROM requests r
       JOIN users u ON u.id = r.implementerId
-      WHERE r.implementerId IS NOT NULL
+      WHERE r.implementerId IS NOT NULL AND r.spaceId = @spaceId AND ${visibility.sql}
       ${timeFilter}
       GROUP BY r.implementerId
       ORDER BY c DESC, u.createdAt ASC
       LIMIT 10
     `,
     )
-    .all({ startIso })
+    .all(params)
     .map((row) => ({ userId: row.id, name: row.name, username: row.username, count: row.c }))
 
   return res.json({ submitters, implementers })
@@ -1005,7 +2301,7 @@ app.get('/api/admin/visits', authMiddleware, requireRole(['admin']), (req, res)
   })
 })
 
-app.get('/api/dashboard/messages', authMiddleware, (req, res) => {
+app.get('/api/dashboard/messages', spaceAuth, (req, res) => {
   const limitRaw = Number(req.query.limit ?? 20)
   const limit = Math.min(50, Math.max(1, Number.isFinite(limitRaw) ? Math.floor(limitRaw) : 20))
   const rows = db
@@ -1017,16 +2313,17 @@ app.get('/api/dashboard/messages', authMiddleware, (req, res) => {
         u.username AS authorUsername
       FROM board_messages m
       LEFT JOIN users u ON u.id = m.authorId
+      WHERE m.spaceId = ?
       ORDER BY m.isPinned DESC, m.createdAt DESC
       LIMIT ?
       `,
     )
-    .all(limit)
+    .all(req.space.id, limit)
   const messages = rows.map((row) => rowToBoardMessage(row, req.user))
   return res.json({ messages })
 })
 
-app.post('/api/dashboard/messages', authMiddleware, (req, res) => {
+app.post('/api/dashboard/messages', spaceAuth, (req, res) => {
   const content = String(req.body?.content || '').trim()
   const anonymous = Boolean(req.body?.anonymous)
   if (!content) return res.status(400).json({ message: 'content required' })
@@ -1038,11 +2335,12 @@ app.post('/api/dashboard/messages', authMiddleware, (req, res) => {
     authorId: req.user.id,
     isAnonymous: anonymous ? 1 : 0,
     isPinned: 0,
+    spaceId: req.space.id,
     createdAt: nowIso(),
   }
 
   db.prepare(
-    'INSERT INTO board_messages (id, content, authorId, isAnonymous, isPinned, createdAt) VALUES (@id, @content, @authorId, @isAnonymous, @isPinned, @createdAt)',
+    'INSERT INTO board_messages (id, content, authorId, isAnonymous, isPinned, spaceId, createdAt) VALUES (@id, @content, @authorId, @isAnonymous, @isPinned, @spaceId, @createdAt)',
   ).run(message)
 
   const row = db
@@ -1062,12 +2360,12 @@ app.post('/api/dashboard/messages', authMiddleware, (req, res) => {
   return res.json({ message: rowToBoardMessage(row, req.user) })
 })
 
-app.patch('/api/dashboard/messages/:id', authMiddleware, requireRole(['admin']), (req, res) => {
+app.patch('/api/dashboard/messages/:id', spaceAuth, requireRole(['admin']), (req, res) => {
   const id = req.params.id
   const pinned = req.body?.pinned
   if (pinned == null) return res.status(400).json({ message: 'pinned required' })
   const value = pinned ? 1 : 0
-  const row = db.prepare('SELECT id FROM board_messages WHERE id = ?').get(id)
+  const row = db.prepare('SELECT id FROM board_messages WHERE id = ? AND spaceId = ?').get(id, req.space.id)
   if (!row) return res.status(404).json({ message: 'not found' })
   db.prepare('UPDATE board_messages SET isPinned = ? WHERE id = ?').run(value, id)
 
@@ -1087,177 +2385,705 @@ app.patch('/api/dashboard/messages/:id', authMiddleware, requireRole(['admin']),
   return res.json({ message: rowToBoardMessage(updated, req.user) })
 })
 
-app.delete('/api/dashboard/messages/:id', authMiddleware, (req, res) => {
+app.delete('/api/dashboard/messages/:id', spaceAuth, (req, res) => {
   const id = req.params.id
-  const row = db.prepare('SELECT id, authorId FROM board_messages WHERE id = ?').get(id)
+  const row = db.prepare('SELECT id, authorId FROM board_messages WHERE id = ? AND spaceId = ?').get(id, req.space.id)
   if (!row) return res.status(404).json({ message: 'not found' })
   if (req.user.role !== 'admin' && row.authorId !== req.user.id) return res.status(403).json({ message: 'forbidden' })
   db.prepare('DELETE FROM board_messages WHERE id = ?').run(id)
   return res.json({ ok: true })
 })
 
-app.get('/api/requests', authMiddleware, (req, res) => {
-  const user = req.user
-  const q = String(req.query.q || '').trim()
-  const status = String(req.query.status || '').trim()
-  const priority = String(req.query.priority || '').trim()
-  const category = String(req.query.category || '').trim()
-  const domain = String(req.query.domain || '').trim()
-  const contactPerson = String(req.query.contactPerson || '').trim()
-  const tag = String(req.query.tag || '').trim()
-  const requesterId = String(req.query.requesterId || '').trim()
-  const implementerId = String(req.query.implementerId || '').trim()
-  const sortByRaw = String(req.query.sortBy || '').trim()
-  const sortOrderRaw = String(req.query.sortOrder || '').trim()
-  const page = Math.max(1, Number(req.query.page || 1))
-  const pageSize = Math.min(50, Math.max(1, Number(req.query.pageSize || 10)))
+const REQUEST_SORT_MAP = {
+  domain: 'r.domain',
+  title: 'r.title',
+  requesterName: 'u1.name',
+  implementerName: 'u4.name',
+  createdAt: 'r.createdAt',
+  lastActorName: 'u3.name',
+  updatedAt: 'r.updatedAt',
+  priority:
+    "CASE r.priority WHEN 'P0' THEN 0 WHEN 'P1' THEN 1 WHEN 'P2' THEN 2 WHEN 'P3' THEN 3 ELSE 9 END",
+  category: 'r.category',
+  tags: 'r.tagsJson',
+}
 
-  const where = []
-  const params = {}
+function requestListSelect(searchJoinSql = '') {
+  return `
+  SELECT
+    r.*,
+    u1.name AS requesterName,
+    u1.username AS requesterUsername,
+    u2.name AS reviewerName,
+    u2.username AS reviewerUsername,
+    u4.name AS implementerName,
+    u4.username AS implementerUsername,
+    u3.name AS lastActorName,
+    u3.username AS lastActorUsername,
+    ${STATUS_SINCE_SQL} AS statusSince
+    ${searchJoinSql ? ', fts.snippet AS searchSnippet' : ''}
+  FROM requests r
+  ${searchJoinSql}
+  JOIN users u1 ON u1.id = r.requesterId
+  LEFT JOIN users u2 ON u2.id = r.reviewerId
+  LEFT JOIN users u4 ON u4.id = r.implementerId
+  LEFT JOIN audit_logs llast
+    ON llast.requestId = r.id
+   AND llast.createdAt = (SELECT MAX(createdAt) FROM audit_logs WHERE requestId = r.id)
+  LEFT JOIN users u3 ON u3.id = llast.actorId
+`
+}
 
-  void user
-  if (requesterId) {
-    where.push('r.requesterId=@requesterId')
-    params.requesterId = requesterId
-  }
+const SEARCH_QUALIFIER_COLUMNS = { priority: 'r.priority', category: 'r.category', domain: 'r.domain', contactPerson: 'r.contactPerson' }
 
-  if (status) {
-    where.push('r.status=@status')
-    params.status = status
+function statusKeyFromSearch(value) {
+  if (value === '草稿') return DRAFT_STATUS
+  const state = getWorkflow().states.find((st) => st.key.toLowerCase() === value.toLowerCase() || st.label === value)
+  return state?.key ?? value
+}
+
+// Turns the free-text `q` into FTS/LIKE conditions plus `field:value` qualifier filters.
+function applySearchQuery(q, where, params) {
+  const { filters, terms } = parseSearchQuery(q)
+  const inList = (field, values) => {
+    const names = values.map((v, i) => {
+      params[`${field}Q${i}`] = v
+      return `@${field}Q${i}`
+    })
+    return names.join(', ')
   }
-  if (priority) {
-    where.push('r.priority=@priority')
-    params.priority = priority
+
+  if (filters.status) where.push(`r.status IN (${inList('status', filters.status.map(statusKeyFromSearch))})`)
+  for (const [field, column] of Object.entries(SEARCH_QUALIFIER_COLUMNS)) {
+    if (filters[field]) where.push(`${column} IN (${inList(field, filters[field])})`)
   }
-  if (category) {
-    where.push('r.category=@category')
-    params.category = category
+  if (filters.tag) where.push(tagMatchSql('all', filters.tag, params, 'tagQ'))
+  for (const [field, column] of [
+    ['requester', 'r.requesterId'],
+    ['implementer', 'r.implementerId'],
+  ]) {
+    if (!filters[field]) continue
+    const names = inList(field, filters[field])
+    where.push(`${column} IN (SELECT id FROM users WHERE username IN (${names}) OR name IN (${names}))`)
   }
-  if (domain) {
-    where.push('r.domain=@domain')
-    params.domain = domain
+
+  const matchTerms = terms.filter((t) => [...t].length >= MIN_MATCH_LENGTH)
+  const likeTerms = terms.filter((t) => [...t].length < MIN_MATCH_LENGTH)
+  for (const [i, term] of likeTerms.entries()) {
+    where.push(
+      `r.id IN (SELECT requestId FROM requests_fts WHERE title LIKE @likeQ${i} ESCAPE '\\' OR body LIKE @likeQ${i} ESCAPE '\\' OR comments LIKE @likeQ${i} ESCAPE '\\' OR attachments LIKE @likeQ${i} ESCAPE '\\')`,
+    )
+    params[`likeQ${i}`] = `%${escapeLike(term)}%`
   }
-  if (contactPerson) {
-    where.push('r.contactPerson=@contactPerson')
-    params.contactPerson = contactPerson
+
+  if (!matchTerms.length) return { searchJoinSql: '', terms }
+  params.ftsMatch = toMatchExpression(matchTerms)
+  params.snippetOpen = SNIPPET_OPEN
+  params.snippetClose = SNIPPET_CLOSE
+  const searchJoinSql = `
+  JOIN (
+    SELECT requestId, bm25(requests_fts, 0.0, 10.0, 4.0, 2.0, 1.0) AS rank,
+      snippet(requests_fts, -1, @snippetOpen, @snippetClose, '…', 16) AS snippet
+    FROM requests_fts
+    WHERE requests_fts MATCH @ftsMatch
+  ) fts ON fts.requestId = r.id`
+  return { searchJoinSql, terms }
+}
+
+// Shared by the list and export endpoints so both honor exactly the same filters and ordering.
+const ME_FILTER = '@me'
+
+// Filters that take one or more values (`status=Submitted,NeedInfo` or a repeated parameter), each with
+// a `not…` counterpart (`notStatus=Rejected`).
+const REQUEST_LIST_FILTER_COLUMNS = {
+  status: 'r.status',
+  priority: 'r.priority',
+  category: 'r.category',
+  domain: 'r.domain',
+  contactPerson: 'r.contactPerson',
+  requesterId: 'r.requesterId',
+  implementerId: 'r.implementerId',
+  reviewerId: 'r.reviewerId',
+}
+const REQUEST_LIST_NOT_FILTERS = Object.fromEntries(
+  Object.keys(REQUEST_LIST_FILTER_COLUMNS).map((field) => [field, `not${field[0].toUpperCase()}${field.slice(1)}`]),
+)
+
+function listParam(value) {
+  const raw = Array.isArray(value) ? value : [value]
+  return [...new Set(raw.flatMap((v) => String(v ?? '').split(',')).map((v) => v.trim()).filter(Boolean))]
+}
+
+function bindList(params, prefix, values) {
+  return values
+    .map((value, i) => {
+      params[`${prefix}${i}`] = value
+      return `@${prefix}${i}`
+    })
+    .join(', ')
+}
+
+// Exact tag matching against the JSON array: any of, all of, or none of the given tags.
+function tagMatchSql(mode, tags, params, prefix) {
+  const names = bindList(params, prefix, tags)
+  if (mode === 'all') {
+    return `(SELECT COUNT(DISTINCT jt.value) FROM json_each(r.tagsJson) jt WHERE jt.value IN (${names})) = ${tags.length}`
   }
-  if (tag) {
-    where.push('r.tagsJson LIKE @tagLike')
-    params.tagLike = `%\"${tag.replaceAll('"', '')}\"%`
+  const exists = `EXISTS (SELECT 1 FROM json_each(r.tagsJson) jt WHERE jt.value IN (${names}))`
+  return mode === 'none' ? `NOT ${exists}` : exists
+}
+
+// `YYYY-MM-DD` in server local time, like the rest of the date handling; `to` dates include the whole day.
+function dateBoundParam(value, endOfDay) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim())
+  if (!match) return null
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + (endOfDay ? 1 : 0))
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+function isTrueParam(value) {
+  return ['1', 'true'].includes(String(value || ''))
+}
+
+function buildRequestsQuery(query, user, space) {
+  const q = String(query.q || '').trim()
+  // `@me` lets a shared saved view mean "the current user".
+  const meOr = (value) => (value === ME_FILTER ? user.id : value)
+  const archived = String(query.archived || '').trim()
+  const overdue = isTrueParam(query.overdue)
+  const sortByRaw = String(query.sortBy || '').trim()
+  const sortOrderRaw = String(query.sortOrder || '').trim()
+
+  const where = []
+  const params = {}
+
+  const visibility = visibilityFilter(user, space)
+  where.push('r.spaceId = @spaceId')
+  params.spaceId = space.id
+  where.push(`((r.status <> 'Draft' AND ${visibility.sql}) OR (r.status = 'Draft' AND r.requesterId = @viewerId))`)
+  params.viewerId = user.id
+  Object.assign(params, visibility.params)
+  // Archived requests stay out of the default list but are still found by a text search.
+  if (archived === 'only') where.push('r.archivedAt IS NOT NULL')
+  else if (archived !== 'include' && !q) where.push('r.archivedAt IS NULL')
+  if (overdue) {
+    where.push(`(julianday('now') - julianday(${STATUS_SINCE_SQL})) * 24 > ${slaHoursSql(params)}`)
   }
-  if (implementerId) {
-    where.push('r.implementerId=@implementerId')
-    params.implementerId = implementerId
+
+  for (const [field, column] of Object.entries(REQUEST_LIST_FILTER_COLUMNS)) {
+    const notField = REQUEST_LIST_NOT_FILTERS[field]
+    const values = listParam(query[field]).map(meOr)
+    const excluded = listParam(query[notField]).map(meOr)
+    if (values.length) where.push(`${column} IN (${bindList(params, `${field}F`, values)})`)
+    // A missing value is not one of the excluded ones, so those rows stay.
+    if (excluded.length) where.push(`(${column} IS NULL OR ${column} NOT IN (${bindList(params, `${notField}F`, excluded)}))`)
   }
-  if (q) {
-    where.push('(r.title LIKE @q OR r.description LIKE @q)')
-    params.q = `%${q}%`
+  if (isTrueParam(query.noImplementer)) where.push('r.implementerId IS NULL')
+  if (isTrueParam(query.noDomain)) where.push("(r.domain IS NULL OR TRIM(r.domain) = '')")
+
+  // `tag` is the single-tag filter older links and saved views use.
+  const tagsAll = listParam([query.tagsAll, query.tag])
+  const tagsAny = listParam(query.tagsAny)
+  const notTags = listParam(query.notTags)
+  if (tagsAll.length) where.push(tagMatchSql('all', tagsAll, params, 'tagsAllF'))
+  if (tagsAny.length) where.push(tagMatchSql('any', tagsAny, params, 'tagsAnyF'))
+  if (notTags.length) where.push(tagMatchSql('none', notTags, params, 'notTagsF'))
+
+  for (const [field, column] of [
+    ['created', 'r.createdAt'],
+    ['updated', 'r.updatedAt'],
+  ]) {
+    const from = dateBoundParam(query[`${field}From`], false)
+    const to = dateBoundParam(query[`${field}To`], true)
+    if (from) {
+      where.push(`${column} >= @${field}From`)
+      params[`${field}From`] = from
+    }
+    if (to) {
+      where.push(`${column} < @${field}To`)
+      params[`${field}To`] = to
+    }
   }
+  const search = q ? applySearchQuery(q, where, params) : { searchJoinSql: '', terms: [] }
 
   const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : ''
-  const total = db.prepare(`SELECT COUNT(1) AS c FROM requests r ${whereSql}`).get(params).c
-  const offset = (page - 1) * pageSize
+  let orderSql
+  if (sortByRaw === 'relevance' && search.searchJoinSql) {
+    orderSql = 'ORDER BY fts.rank ASC, r.createdAt DESC'
+  } else {
+    const sortBy = sortByRaw === 'status' ? statusOrderSql('r.status') : REQUEST_SORT_MAP[sortByRaw] || 'r.createdAt'
+    const sortOrder = sortOrderRaw === 'asc' ? 'ASC' : 'DESC'
+    orderSql = `ORDER BY ${sortBy} ${sortOrder}, r.id DESC`
+  }
+  return { whereSql, params, orderSql, searchJoinSql: search.searchJoinSql, searchTerms: search.terms }
+}
 
-  const sortMap = {
-    domain: 'r.domain',
-    title: 'r.title',
-    requesterName: 'u1.name',
-    implementerName: 'u4.name',
-    createdAt: 'r.createdAt',
-    lastActorName: 'u3.name',
-    updatedAt: 'r.updatedAt',
-    priority:
-      "CASE r.priority WHEN 'P0' THEN 0 WHEN 'P1' THEN 1 WHEN 'P2' THEN 2 WHEN 'P3' THEN 3 ELSE 9 END",
-    status:
-      "CASE r.status WHEN 'Submitted' THEN 0 WHEN 'NeedInfo' THEN 1 WHEN 'Accepted' THEN 2 WHEN 'Suspended' THEN 3 WHEN 'Rejected' THEN 4 WHEN 'Closed' THEN 5 ELSE 9 END",
-    category: 'r.category',
-    tags: 'r.tagsJson',
-  }
-  const sortBy = sortMap[sortByRaw] || 'r.createdAt'
-  const sortOrder = sortOrderRaw === 'asc' ? 'ASC' : 'DESC'
+// Rows matched only through short (LIKE) terms have no FTS snippet, so build one from the request text.
+function withSearchSnippet(request, row, terms) {
+  if (!terms.length) return request
+  const searchSnippet =
+    row.searchSnippet ?? buildSnippet([row.title, row.description, row.why, row.acceptanceCriteria], terms)
+  return { ...request, searchSnippet: searchSnippet ?? undefined }
+}
+
+app.get('/api/requests', spaceAuth, (req, res) => {
+  const user = req.user
+  const page = Math.max(1, Number(req.query.page || 1))
+  const pageSize = Math.min(50, Math.max(1, Number(req.query.pageSize || 10)))
+
+  const { whereSql, params, orderSql, searchJoinSql, searchTerms } = buildRequestsQuery(req.query, user, req.space)
+  const total = db.prepare(`SELECT COUNT(1) AS c FROM requests r ${searchJoinSql} ${whereSql}`).get(params).c
+  const offset = (page - 1) * pageSize
 
   const list = db
     .prepare(
       `
-      SELECT
-        r.*,
-        u1.name AS requesterName,
-        u1.username AS requesterUsername,
-        u2.name AS reviewerName,
-        u2.username AS reviewerUsername,
-        u4.name AS implementerName,
-        u4.username AS implementerUsername,
-        u3.name AS lastActorName,
-        u3.username AS lastActorUsername
-      FROM requests r
-      JOIN users u1 ON u1.id = r.requesterId
-      LEFT JOIN users u2 ON u2.id = r.reviewerId
-      LEFT JOIN users u4 ON u4.id = r.implementerId
-      LEFT JOIN audit_logs llast
-        ON llast.requestId = r.id
-       AND llast.createdAt = (SELECT MAX(createdAt) FROM audit_logs WHERE requestId = r.id)
-      LEFT JOIN users u3 ON u3.id = llast.actorId
+      ${requestListSelect(searchJoinSql)}
       ${whereSql}
-      ORDER BY ${sortBy} ${sortOrder}, r.id DESC
+      ${orderSql}
       LIMIT @limit OFFSET @offset
     `,
     )
     .all({ ...params, limit: pageSize, offset })
-    .map(rowToRequest)
+    .map((row) => withSearchSnippet(withSla(rowToRequest(row), row), row, searchTerms))
 
   return res.json({ list, total, page, pageSize })
 })
 
-app.post('/api/requests', authMiddleware, (req, res) => {
-  const user = req.user
-  const body = req.body || {}
-  const title = String(body.title || '').trim()
-  const description = String(body.description || '')
-  const why = String(body.why || '')
-  if (!title) return res.status(400).json({ message: 'title required' })
+const BOARD_COLUMN_LIMIT = 100
+
+// One column per workflow state with the most recently updated cards; the list filters apply
+// except the status ones, which the columns replace.
+app.get('/api/board', spaceAuth, (req, res) => {
+  const query = { ...req.query, status: undefined, notStatus: undefined }
+  const { whereSql, params, searchJoinSql } = buildRequestsQuery(query, req.user, req.space)
+  const columns = getWorkflow().states.map((state) => {
+    const columnParams = { ...params, boardStatus: state.key }
+    const total = db
+      .prepare(`SELECT COUNT(1) AS c FROM requests r ${searchJoinSql} ${whereSql} AND r.status = @boardStatus`)
+      .get(columnParams).c
+    const list = db
+      .prepare(
+        `
+        ${requestListSelect(searchJoinSql)}
+        ${whereSql} AND r.status = @boardStatus
+        ORDER BY r.updatedAt DESC, r.id DESC
+        LIMIT ${BOARD_COLUMN_LIMIT}
+      `,
+      )
+      .all(columnParams)
+      .map((row) => withSla(rowToRequest(row), row))
+    return { status: state.key, total, list }
+  })
+  return res.json({ columns, limit: BOARD_COLUMN_LIMIT })
+})
 
-  const domainValue = normalizeOptionValue(body.domain)
-  const contactValue = normalizeOptionValue(body.contactPerson)
-  const tagValues = normalizeTagList(body.tags)
-  const t = nowIso()
-  let requestId = ''
-  let row = null
-  let inserted = false
-  for (let i = 0; i < 3 && !inserted; i += 1) {
-    requestId = generateRequestId(db)
-    row = {
-      id: requestId,
-      title,
-      description,
-      why,
-      acceptanceCriteria: body.acceptanceCriteria ? String(body.acceptanceCriteria) : null,
-      status: 'Submitted',
-      category: body.category ? String(body.category) : null,
-      domain: domainValue,
-      contactPerson: contactValue,
-      deliveryMode: body.deliveryMode ? String(body.deliveryMode) : null,
-      priority: body.priority ? String(body.priority) : null,
-      tagsJson: JSON.stringify(tagValues),
-      linksJson: JSON.stringify(jsonArray(body.links)),
-      impactScope: body.impactScope ? String(body.impactScope) : null,
-      requesterId: user.id,
-      reviewerId: null,
-      implementerId: null,
-      decisionReason: null,
-      suspendUntil: null,
-      suspendCondition: null,
-      createdAt: t,
-      updatedAt: t,
+const SAVED_VIEW_FILTERS = [
+  'q',
+  'status',
+  'priority',
+  'category',
+  'domain',
+  'contactPerson',
+  'tag',
+  'tagsAny',
+  'tagsAll',
+  'notTags',
+  'requesterId',
+  'implementerId',
+  'reviewerId',
+  ...Object.values(REQUEST_LIST_NOT_FILTERS),
+  'createdFrom',
+  'createdTo',
+  'updatedFrom',
+  'updatedTo',
+  'noImplementer',
+  'noDomain',
+  'archived',
+  'overdue',
+]
+const SAVED_VIEW_FLAG_FILTERS = ['overdue', 'noImplementer', 'noDomain']
+const SAVED_VIEW_SORTS = [...Object.keys(REQUEST_SORT_MAP), 'status', 'relevance']
+
+// Keeps only known list filters with non-empty values, in the same shape as the list query string.
+function readSavedViewFilters(input) {
+  const filters = {}
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return filters
+  for (const key of SAVED_VIEW_FILTERS) {
+    const value = input[key]
+    if (SAVED_VIEW_FLAG_FILTERS.includes(key)) {
+      if (value === true || value === '1' || value === 'true') filters[key] = true
+      continue
     }
+    // Multi-value filters are stored the way the list URL carries them, comma-separated.
+    const raw = Array.isArray(value) ? listParam(value).join(',') : value
+    if (typeof raw !== 'string' && typeof raw !== 'number') continue
+    const text = String(raw).trim().slice(0, 1000)
+    if (text) filters[key] = text
+  }
+  return filters
+}
 
-    try {
-      db.prepare(
-        `
-        INSERT INTO requests
-        (id,title,description,why,acceptanceCriteria,status,category,domain,contactPerson,deliveryMode,priority,tagsJson,linksJson,impactScope,requesterId,reviewerId,implementerId,decisionReason,suspendUntil,suspendCondition,createdAt,updatedAt)
-        VALUES
-        (@id,@title,@description,@why,@acceptanceCriteria,@status,@category,@domain,@contactPerson,@deliveryMode,@priority,@tagsJson,@linksJson,@impactScope,@requesterId,@reviewerId,@implementerId,@decisionReason,@suspendUntil,@suspendCondition,@createdAt,@updatedAt)
-      `,
+function readSavedViewInput(body, existing) {
+  const name = body.name === undefined && existing ? existing.name : String(body.name ?? '').trim()
+  if (!name) return { error: 'name required' }
+  if (name.length > 50) return { error: 'name too long' }
+  const filters = body.filters === undefined && existing ? fromJson(existing.filtersJson, {}) : readSavedViewFilters(body.filters)
+  let sort = existing ? fromJson(existing.sortJson, null) : null
+  if (body.sort !== undefined) {
+    sort = null
+    if (body.sort) {
+      const sortBy = String(body.sort.sortBy || '')
+      if (!SAVED_VIEW_SORTS.includes(sortBy)) return { error: 'invalid sort' }
+      sort = { sortBy, sortOrder: body.sort.sortOrder === 'asc' ? 'asc' : 'desc' }
+    }
+  }
+  let hiddenColumns = existing ? fromJson(existing.hiddenColumnsJson, []) : []
+  if (body.hiddenColumns !== undefined) {
+    if (!Array.isArray(body.hiddenColumns) || body.hiddenColumns.length > 50) return { error: 'invalid hiddenColumns' }
+    hiddenColumns = [...new Set(body.hiddenColumns.map((c) => String(c).slice(0, 40)))]
+  }
+  return {
+    name,
+    filtersJson: JSON.stringify(filters),
+    sortJson: sort ? JSON.stringify(sort) : null,
+    hiddenColumnsJson: JSON.stringify(hiddenColumns),
+  }
+}
+
+function rowToSavedView(row, user) {
+  const isOwner = row.ownerId === user.id
+  return {
+    id: row.id,
+    name: row.name,
+    filters: fromJson(row.filtersJson, {}),
+    sort: fromJson(row.sortJson, null),
+    hiddenColumns: fromJson(row.hiddenColumnsJson, []),
+    shared: Boolean(row.isShared),
+    ownerId: row.ownerId,
+    ownerName: row.ownerName ?? undefined,
+    ownerUsername: row.ownerUsername ?? undefined,
+    isOwner,
+    // Shared views belong to the team, so any space admin may maintain them.
+    canEdit: isOwner || (Boolean(row.isShared) && user.role === 'admin'),
+    pinned: Boolean(row.pinned),
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+  }
+}
+
+// The caller's own views plus shared ones in the current space.
+function selectSavedViews(user, space, extraSql = '', extraParams = {}) {
+  return db
+    .prepare(
+      `
+      SELECT v.*, u.name AS ownerName, u.username AS ownerUsername, p.viewId IS NOT NULL AS pinned, p.createdAt AS pinnedAt
+      FROM saved_views v
+      JOIN users u ON u.id = v.ownerId
+      LEFT JOIN saved_view_pins p ON p.viewId = v.id AND p.userId = @userId
+      WHERE v.spaceId = @spaceId AND (v.ownerId = @userId OR v.isShared = 1) ${extraSql}
+      ORDER BY v.isShared ASC, v.name ASC
+      `,
+    )
+    .all({ userId: user.id, spaceId: space.id, ...extraParams })
+}
+
+function countSavedView(view, user, space) {
+  const { whereSql, params, searchJoinSql } = buildRequestsQuery(view.filters, user, space)
+  return db.prepare(`SELECT COUNT(1) AS c FROM requests r ${searchJoinSql} ${whereSql}`).get(params).c
+}
+
+app.get('/api/views', spaceAuth, (req, res) => {
+  return res.json({ views: selectSavedViews(req.user, req.space).map((row) => rowToSavedView(row, req.user)) })
+})
+
+// Pinned views with their live request counts, in the order they were pinned.
+app.get('/api/views/pinned', spaceAuth, (req, res) => {
+  const views = selectSavedViews(req.user, req.space, 'AND p.viewId IS NOT NULL')
+    .sort((a, b) => a.pinnedAt.localeCompare(b.pinnedAt))
+    .map((row) => rowToSavedView(row, req.user))
+  return res.json({ views: views.map((view) => ({ ...view, count: countSavedView(view, req.user, req.space) })) })
+})
+
+app.get('/api/views/:id', spaceAuth, (req, res) => {
+  const row = selectSavedViews(req.user, req.space, 'AND v.id = @id', { id: req.params.id })[0]
+  if (!row) return res.status(404).json({ message: 'not found' })
+  return res.json({ view: rowToSavedView(row, req.user) })
+})
+
+app.post('/api/views', spaceAuth, (req, res) => {
+  const body = req.body || {}
+  const parsed = readSavedViewInput(body, null)
+  if (parsed.error) return res.status(400).json({ message: parsed.error })
+  if (body.shared && req.user.role !== 'admin') return res.status(403).json({ message: 'only admins can share views' })
+  const t = nowIso()
+  const id = nanoid()
+  db.prepare(
+    `
+    INSERT INTO saved_views (id, spaceId, ownerId, name, filtersJson, sortJson, hiddenColumnsJson, isShared, createdAt, updatedAt)
+    VALUES (@id, @spaceId, @ownerId, @name, @filtersJson, @sortJson, @hiddenColumnsJson, @isShared, @createdAt, @updatedAt)
+  `,
+  ).run({ id, spaceId: req.space.id, ownerId: req.user.id, ...parsed, isShared: body.shared ? 1 : 0, createdAt: t, updatedAt: t })
+  const row = selectSavedViews(req.user, req.space, 'AND v.id = @id', { id })[0]
+  return res.json({ view: rowToSavedView(row, req.user) })
+})
+
+app.patch('/api/views/:id', spaceAuth, (req, res) => {
+  const body = req.body || {}
+  const row = selectSavedViews(req.user, req.space, 'AND v.id = @id', { id: req.params.id })[0]
+  if (!row) return res.status(404).json({ message: 'not found' })
+  if (!rowToSavedView(row, req.user).canEdit) return res.status(403).json({ message: 'forbidden' })
+  if (body.shared !== undefined && Boolean(body.shared) !== Boolean(row.isShared) && req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'only admins can share views' })
+  }
+  const parsed = readSavedViewInput(body, row)
+  if (parsed.error) return res.status(400).json({ message: parsed.error })
+  const isShared = body.shared === undefined ? row.isShared : body.shared ? 1 : 0
+  db.prepare(
+    `
+    UPDATE saved_views
+    SET name=@name, filtersJson=@filtersJson, sortJson=@sortJson, hiddenColumnsJson=@hiddenColumnsJson, isShared=@isShared, updatedAt=@updatedAt
+    WHERE id=@id
+  `,
+  ).run({ id: row.id, ...parsed, isShared, updatedAt: nowIso() })
+  // Unsharing takes the view away from everyone else, including their pins.
+  if (!isShared) db.prepare('DELETE FROM saved_view_pins WHERE viewId = ? AND userId <> ?').run(row.id, row.ownerId)
+  const updated = selectSavedViews(req.user, req.space, 'AND v.id = @id', { id: row.id })[0]
+  return res.json({ view: updated ? rowToSavedView(updated, req.user) : null })
+})
+
+app.delete('/api/views/:id', spaceAuth, (req, res) => {
+  const row = selectSavedViews(req.user, req.space, 'AND v.id = @id', { id: req.params.id })[0]
+  if (!row) return res.status(404).json({ message: 'not found' })
+  if (!rowToSavedView(row, req.user).canEdit) return res.status(403).json({ message: 'forbidden' })
+  db.prepare('DELETE FROM saved_views WHERE id = ?').run(row.id)
+  return res.json({ ok: true })
+})
+
+app.put('/api/views/:id/pin', spaceAuth, (req, res) => {
+  const row = selectSavedViews(req.user, req.space, 'AND v.id = @id', { id: req.params.id })[0]
+  if (!row) return res.status(404).json({ message: 'not found' })
+  if (req.body?.pinned) {
+    db.prepare('INSERT OR IGNORE INTO saved_view_pins (userId, viewId, createdAt) VALUES (?, ?, ?)').run(req.user.id, row.id, nowIso())
+  } else {
+    db.prepare('DELETE FROM saved_view_pins WHERE userId = ? AND viewId = ?').run(req.user.id, row.id)
+  }
+  return res.json({ ok: true, pinned: Boolean(req.body?.pinned) })
+})
+
+const SIMILAR_LIMIT = 5
+const SIMILAR_MIN_SCORE = 0.2
+
+// Candidates come from the trigram index; the final score mixes text similarity with shared tags and domain.
+function findSimilarRequests({ title, description, tags, domain, excludeId, spaceId, visibility }) {
+  const titleGrams = textTrigrams(title)
+  const bodyGrams = textTrigrams(description)
+  const matchGrams = [...titleGrams, ...bodyGrams].filter((g) => [...g].length >= MIN_MATCH_LENGTH).slice(0, 64)
+  if (!matchGrams.length) return []
+
+  const rows = db
+    .prepare(
+      `
+      SELECT r.id, r.title, r.description, r.status, r.domain, r.tagsJson, r.createdAt
+      FROM requests_fts f
+      JOIN requests r ON r.id = f.requestId
+      WHERE requests_fts MATCH @match
+        AND r.spaceId = @spaceId
+        AND ${visibility.sql}
+        AND r.status <> @draft
+        AND r.duplicateOfId IS NULL
+        AND r.id <> @excludeId
+      ORDER BY bm25(requests_fts, 0.0, 10.0, 4.0, 0.0, 0.0)
+      LIMIT 100
+    `,
+    )
+    .all({
+      match: `{title body} : (${matchGrams.map((g) => toMatchExpression([g])).join(' OR ')})`,
+      draft: DRAFT_STATUS,
+      excludeId: excludeId || '',
+      spaceId,
+      ...visibility.params,
+    })
+
+  const tagSet = new Set(tags)
+  const hasBody = bodyGrams.size > 0
+  return rows
+    .map((row) => {
+      const titleScore = diceCoefficient(titleGrams, textTrigrams(row.title))
+      const bodyScore = hasBody ? diceCoefficient(bodyGrams, textTrigrams(row.description)) : 0
+      const textScore = hasBody ? titleScore * 0.6 + bodyScore * 0.4 : titleScore
+      const rowTags = fromJson(row.tagsJson, [])
+      const sharedTags = rowTags.filter((t) => tagSet.has(t))
+      const tagScore = sharedTags.length ? sharedTags.length / new Set([...rowTags, ...tagSet]).size : 0
+      const sameDomain = !!domain && row.domain === domain
+      const score = textScore * 0.7 + tagScore * 0.2 + (sameDomain ? 0.1 : 0)
+      return {
+        id: row.id,
+        title: row.title,
+        status: row.status,
+        domain: row.domain ?? undefined,
+        tags: rowTags,
+        createdAt: row.createdAt,
+        sharedTags,
+        sameDomain,
+        score: Math.round(score * 100) / 100,
+      }
+    })
+    .filter((item) => item.score >= SIMILAR_MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SIMILAR_LIMIT)
+}
+
+const REQUEST_EXPORT_COLUMNS = [
+  { header: 'ID', width: 16, value: (r) => r.id },
+  { header: '标题', width: 40, value: (r) => r.title },
+  { header: '状态', width: 10, value: (r) => statusLabel(r.status) },
+  { header: '优先级', width: 8, value: (r) => r.priority ?? '' },
+  { header: '分类', width: 8, value: (r) => r.category ?? '' },
+  { header: '领域', width: 16, value: (r) => r.domain ?? '' },
+  { header: '接口人', width: 14, value: (r) => r.contactPerson ?? '' },
+  { header: '标签', width: 24, value: (r) => r.tags.join(', ') },
+  { header: '提交者', width: 14, value: (r) => r.requesterUsername ?? '' },
+  { header: '提交者姓名', width: 14, value: (r) => r.requesterName ?? '' },
+  { header: '实施人', width: 14, value: (r) => r.implementerName ?? '' },
+  { header: '评审者', width: 14, value: (r) => r.reviewerName ?? '' },
+  { header: '需求描述', width: 60, value: (r) => r.description },
+  { header: '期望价值/收益', width: 40, value: (r) => r.why },
+  { header: '验收标准', width: 40, value: (r) => r.acceptanceCriteria ?? '' },
+  { header: '交付模式', width: 20, value: (r) => r.deliveryMode ?? '' },
+  { header: '影响范围', width: 30, value: (r) => r.impactScope ?? '' },
+  { header: '相关链接', width: 40, value: (r) => r.links.join('\n') },
+  { header: '处理意见', width: 40, value: (r) => r.decisionReason ?? '' },
+  { header: '创建时间', width: 18, value: (r) => formatDateTimeText(r.createdAt) },
+  { header: '更新时间', width: 18, value: (r) => formatDateTimeText(r.updatedAt) },
+]
+
+function formatDateTimeText(value) {
+  if (!value) return ''
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return String(value)
+  const hh = String(date.getHours()).padStart(2, '0')
+  const mm = String(date.getMinutes()).padStart(2, '0')
+  return `${formatDateKey(date)} ${hh}:${mm}`
+}
+
+function toCsvCell(value) {
+  const text = toSpreadsheetText(value)
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+app.post('/api/requests/similar', spaceAuth, (req, res) => {
+  const body = req.body || {}
+  const list = findSimilarRequests({
+    title: String(body.title || ''),
+    description: String(body.description || ''),
+    tags: normalizeTagList(body.tags),
+    domain: normalizeOptionValue(body.domain),
+    excludeId: body.excludeId ? String(body.excludeId) : '',
+    spaceId: req.space.id,
+    visibility: visibilityFilter(req.user, req.space),
+  })
+  return res.json({ list })
+})
+
+app.get('/api/requests/export', spaceAuth, requireRole(['admin']), async (req, res) => {
+  const format = String(req.query.format || 'csv').trim()
+  if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ message: 'invalid format' })
+
+  const { whereSql, params, orderSql, searchJoinSql } = buildRequestsQuery(req.query, req.user, req.space)
+  const rows = db.prepare(`${requestListSelect(searchJoinSql)} ${whereSql} ${orderSql}`).iterate(params)
+  const filename = `requests_${formatDateStamp()}.${format}`
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`)
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    // BOM so Excel detects UTF-8 and renders Chinese text correctly.
+    res.write('\uFEFF')
+    res.write(`${REQUEST_EXPORT_COLUMNS.map((c) => toCsvCell(c.header)).join(',')}\r\n`)
+    for (const row of rows) {
+      const request = rowToRequest(row)
+      res.write(`${REQUEST_EXPORT_COLUMNS.map((c) => toCsvCell(c.value(request))).join(',')}\r\n`)
+    }
+    return res.end()
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+  try {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true })
+    const sheet = workbook.addWorksheet('需求列表')
+    sheet.columns = REQUEST_EXPORT_COLUMNS.map((c) => ({ header: c.header, width: c.width }))
+    sheet.getRow(1).font = { bold: true }
+    sheet.getRow(1).commit()
+    for (const row of rows) {
+      const request = rowToRequest(row)
+      sheet.addRow(REQUEST_EXPORT_COLUMNS.map((c) => toSpreadsheetText(c.value(request)))).commit()
+    }
+    sheet.commit()
+    await workbook.commit()
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('export failed', err)
+    if (!res.headersSent) return res.status(500).json({ message: 'export failed' })
+    res.destroy(err)
+  }
+})
+
+app.post('/api/requests', spaceAuth, (req, res) => {
+  const user = req.user
+  const body = req.body || {}
+  const title = String(body.title || '').trim()
+  const description = String(body.description || '')
+  const why = String(body.why || '')
+  const isDraft = body.draft === true
+  const [missing] = isDraft ? [] : missingSubmitFields({ title, description, why })
+  if (missing) return res.status(400).json({ message: `${missing} required` })
+  const invalid = invalidRequestField({ category: body.category, priority: body.priority })
+  if (invalid) return res.status(400).json({ message: `invalid ${invalid}` })
+
+  const domainValue = normalizeOptionValue(body.domain)
+  const contactValue = normalizeOptionValue(body.contactPerson)
+  const tagValues = normalizeTagList(body.tags)
+  const t = nowIso()
+  let requestId = ''
+  let row = null
+  let inserted = false
+  for (let i = 0; i < 3 && !inserted; i += 1) {
+    requestId = generateRequestId(db)
+    row = {
+      id: requestId,
+      title,
+      description,
+      why,
+      acceptanceCriteria: body.acceptanceCriteria ? String(body.acceptanceCriteria) : null,
+      status: isDraft ? DRAFT_STATUS : getWorkflow().initialState,
+      category: body.category ? String(body.category) : null,
+      domain: domainValue,
+      contactPerson: contactValue,
+      deliveryMode: body.deliveryMode ? String(body.deliveryMode) : null,
+      priority: body.priority ? String(body.priority) : null,
+      tagsJson: JSON.stringify(tagValues),
+      linksJson: JSON.stringify(jsonArray(body.links)),
+      impactScope: body.impactScope ? String(body.impactScope) : null,
+      requesterId: user.id,
+      reviewerId: null,
+      implementerId: null,
+      decisionReason: null,
+      suspendUntil: null,
+      suspendCondition: null,
+      spaceId: req.space.id,
+      isConfidential: body.confidential ? 1 : 0,
+      createdAt: t,
+      updatedAt: t,
+    }
+
+    try {
+      db.prepare(
+        `
+        INSERT INTO requests
+        (id,title,description,why,acceptanceCriteria,status,category,domain,contactPerson,deliveryMode,priority,tagsJson,linksJson,impactScope,requesterId,reviewerId,implementerId,decisionReason,suspendUntil,suspendCondition,spaceId,isConfidential,createdAt,updatedAt)
+        VALUES
+        (@id,@title,@description,@why,@acceptanceCriteria,@status,@category,@domain,@contactPerson,@deliveryMode,@priority,@tagsJson,@linksJson,@impactScope,@requesterId,@reviewerId,@implementerId,@decisionReason,@suspendUntil,@suspendCondition,@spaceId,@isConfidential,@createdAt,@updatedAt)
+      `,
       ).run(row)
       inserted = true
     } catch (e) {
@@ -1266,15 +3092,16 @@ app.post('/api/requests', authMiddleware, (req, res) => {
     }
   }
   if (!inserted || !row) return res.status(500).json({ message: 'create failed' })
+  if (isDraft) return res.json({ id: requestId })
 
-  upsertRequestOption('domain', domainValue)
-  upsertRequestOption('contact', contactValue)
-  for (const tag of tagValues) upsertRequestOption('tag', tag)
-  addAudit({ requestId, actorId: user.id, actionType: 'create', toValue: { status: 'Submitted' } })
+  upsertRequestOption('domain', domainValue, req.space.id)
+  upsertRequestOption('contact', contactValue, req.space.id)
+  for (const tag of tagValues) upsertRequestOption('tag', tag, req.space.id)
+  addAudit({ requestId, actorId: user.id, actionType: 'create', toValue: { status: row.status } })
   return res.json({ id: requestId })
 })
 
-app.get('/api/requests/:id', authMiddleware, (req, res) => {
+app.get('/api/requests/:id', requestSpaceAuth, (req, res) => {
   const user = req.user
   const id = req.params.id
   const row = db
@@ -1287,7 +3114,8 @@ app.get('/api/requests/:id', authMiddleware, (req, res) => {
         u2.name AS reviewerName,
         u2.username AS reviewerUsername,
         u3.name AS implementerName,
-        u3.username AS implementerUsername
+        u3.username AS implementerUsername,
+        ${STATUS_SINCE_SQL} AS statusSince
       FROM requests r
       JOIN users u1 ON u1.id = r.requesterId
       LEFT JOIN users u2 ON u2.id = r.reviewerId
@@ -1296,30 +3124,71 @@ app.get('/api/requests/:id', authMiddleware, (req, res) => {
     `,
     )
     .get(id)
-  const request = rowToRequest(row)
+  const request = row ? withSla(rowToRequest(row), row) : null
   if (!request) return res.status(404).json({ message: 'not found' })
-  if (!canViewRequest(user, request)) return res.status(403).json({ message: 'forbidden' })
+  const scope = visibilityScope(user, req.space)
+  if (!canViewRequest(user, request, scope)) return res.status(403).json({ message: 'forbidden' })
 
-  const comments = db
+  // Comments of duplicates are shown in the thread, but only from duplicates this viewer may open.
+  const threadRequestIds = JSON.stringify([
+    id,
+    ...db
+      .prepare('SELECT * FROM requests WHERE duplicateOfId = ? AND deletedAt IS NULL')
+      .all(id)
+      .filter((dup) => canViewRequest(user, rowToRequest({ ...dup, requesterName: '', reviewerName: '' }), scope))
+      .map((dup) => dup.id),
+  ])
+
+  const mentionsByComment = new Map()
+  for (const m of db
     .prepare(
       `
-      SELECT c.*, u.name AS authorName, u.username AS authorUsername
+      SELECT cm.commentId, u.id AS userId, u.username, u.name
+      FROM comment_mentions cm
+      JOIN comments c ON c.id = cm.commentId
+      JOIN users u ON u.id = cm.userId
+      WHERE c.requestId IN (SELECT value FROM json_each(@threadRequestIds))
+    `,
+    )
+    .all({ threadRequestIds })) {
+    const list = mentionsByComment.get(m.commentId) ?? []
+    list.push({ userId: m.userId, username: m.username, name: m.name })
+    mentionsByComment.set(m.commentId, list)
+  }
+
+  const commentRows = db
+    .prepare(
+      `
+      SELECT c.*, u.name AS authorName, u.username AS authorUsername, ru.name AS resolvedByName,
+        (SELECT COUNT(1) FROM comment_versions v WHERE v.commentId = c.id) AS versionCount
       FROM comments c
       JOIN users u ON u.id = c.authorId
-      WHERE c.requestId = ?
+      LEFT JOIN users ru ON ru.id = c.resolvedBy
+      WHERE c.requestId IN (SELECT value FROM json_each(@threadRequestIds))
       ORDER BY c.createdAt ASC
     `,
     )
-    .all(id)
-    .map((c) => ({
-      id: c.id,
-      requestId: c.requestId,
-      authorId: c.authorId,
-      authorName: c.authorName,
-      authorUsername: c.authorUsername,
-      content: c.content,
-      createdAt: c.createdAt,
-    }))
+    .all({ threadRequestIds })
+  const reactionsByComment = listCommentReactions(
+    commentRows.map((c) => c.id),
+    user.id,
+  )
+  const comments = commentRows.map((c) => ({
+    id: c.id,
+    requestId: c.requestId,
+    parentId: c.parentId ?? undefined,
+    authorId: c.authorId,
+    authorName: c.authorName,
+    authorUsername: c.authorUsername,
+    content: c.content,
+    mentions: mentionsByComment.get(c.id) ?? [],
+    reactions: reactionsByComment.get(c.id) ?? [],
+    editedAt: c.editedAt ?? undefined,
+    versionCount: c.versionCount,
+    resolvedAt: c.resolvedAt ?? undefined,
+    resolvedByName: c.resolvedByName ?? undefined,
+    createdAt: c.createdAt,
+  }))
 
   const auditLogs = db
     .prepare(
@@ -1328,7 +3197,7 @@ app.get('/api/requests/:id', authMiddleware, (req, res) => {
       FROM audit_logs l
       JOIN users u ON u.id = l.actorId
       WHERE l.requestId = ?
-      ORDER BY l.createdAt DESC
+      ORDER BY l.seq DESC
     `,
     )
     .all(id)
@@ -1362,18 +3231,164 @@ app.get('/api/requests/:id', authMiddleware, (req, res) => {
       return a
     })
 
-  return res.json({ request, comments, auditLogs, attachments })
+  // Linked requests are only listed when this viewer may open them.
+  const visibility = visibilityFilter(user, req.space)
+  const duplicateOf = request.duplicateOfId
+    ? db
+        .prepare(`SELECT r.id, r.title, r.status FROM requests r WHERE r.id = @id AND ${visibility.sql}`)
+        .get({ ...visibility.params, id: request.duplicateOfId }) ?? null
+    : null
+  const duplicates = db
+    .prepare(
+      `
+      SELECT r.id, r.title, r.status, r.requesterId, u.name AS requesterName, u.username AS requesterUsername
+      FROM requests r
+      JOIN users u ON u.id = r.requesterId
+      WHERE r.duplicateOfId = @id AND ${visibility.sql}
+      ORDER BY r.createdAt ASC
+    `,
+    )
+    .all({ ...visibility.params, id })
+
+  // Names for implementer ids that appear in edit diffs.
+  const auditUserIds = new Set()
+  for (const l of auditLogs) {
+    for (const v of [l.fromValue?.fields?.implementerId, l.toValue?.fields?.implementerId]) if (v) auditUserIds.add(v)
+  }
+  const auditUsers = Object.fromEntries(
+    [...auditUserIds].map((userId) => {
+      const u = getUserById(userId)
+      return [userId, { name: u?.name ?? '', username: u?.username ?? userId }]
+    }),
+  )
+
+  const relations = listRequestRelations(id, visibility)
+  const watchers = listRequestWatchers(id)
+  const watching = watchers.some((w) => w.userId === user.id)
+
+  return res.json({ request, comments, auditLogs, auditUsers, attachments, duplicateOf, duplicates, relations, watchers, watching })
 })
 
-app.patch('/api/requests/:id', authMiddleware, (req, res) => {
-  const user = req.user
-  const id = req.params.id
-  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
-  if (!row) return res.status(404).json({ message: 'not found' })
+// requests column -> field name used in the API and in edit audit diffs.
+const REQUEST_EDIT_FIELDS = {
+  title: 'title',
+  description: 'description',
+  why: 'why',
+  acceptanceCriteria: 'acceptanceCriteria',
+  category: 'category',
+  domain: 'domain',
+  contactPerson: 'contactPerson',
+  deliveryMode: 'deliveryMode',
+  priority: 'priority',
+  tagsJson: 'tags',
+  linksJson: 'links',
+  impactScope: 'impactScope',
+  isConfidential: 'confidential',
+  implementerId: 'implementerId',
+  createdAt: 'createdAt',
+}
+const REQUEST_FIELD_LABELS = {
+  title: '标题',
+  description: '描述',
+  why: '背景/原因',
+  acceptanceCriteria: '验收标准',
+  category: '分类',
+  domain: '领域',
+  contactPerson: '接口人',
+  deliveryMode: '交付方式',
+  priority: '优先级',
+  tags: '标签',
+  links: '链接',
+  impactScope: '影响范围',
+  confidential: '保密',
+  implementerId: '实施人',
+  createdAt: '提交时间',
+}
+// Restoring a version only touches content; implementer and createdAt also change outside edits.
+const RESTORABLE_FIELDS = Object.values(REQUEST_EDIT_FIELDS).filter((f) => f !== 'implementerId' && f !== 'createdAt')
+
+function editFieldValue(column, raw) {
+  if (column === 'tagsJson' || column === 'linksJson') return fromJson(raw, [])
+  if (column === 'isConfidential') return Boolean(raw)
+  return raw ?? null
+}
+
+function editColumnValue(field, value) {
+  if (field === 'tags' || field === 'links') return JSON.stringify(Array.isArray(value) ? value : [])
+  if (field === 'confidential') return value ? 1 : 0
+  return value ?? null
+}
+
+// Before/after values of the fields a column patch really changes, keyed by API field name.
+function diffRequestPatch(row, patch) {
+  const from = {}
+  const to = {}
+  for (const [column, field] of Object.entries(REQUEST_EDIT_FIELDS)) {
+    if (!(column in patch)) continue
+    const before = editFieldValue(column, row[column])
+    const after = editFieldValue(column, patch[column])
+    if (JSON.stringify(before) === JSON.stringify(after)) continue
+    from[field] = before
+    to[field] = after
+  }
+  return { from, to }
+}
+
+// Applies a column patch to a submitted request and records one edit audit entry with the field diff.
+function applyRequestEdit(actor, row, patch, note) {
+  const { from, to } = diffRequestPatch(row, patch)
+  const fields = Object.keys(to)
+  if (!fields.length) return { changed: false }
   const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
-  if (!canEditRequest(user, current)) return res.status(403).json({ message: 'forbidden' })
+  const values = { ...patch, updatedAt: nowIso() }
+  const setSql = Object.keys(values)
+    .map((f) => `${f}=@${f}`)
+    .join(', ')
+  db.prepare(`UPDATE requests SET ${setSql} WHERE id=@id`).run({ id: row.id, ...values })
+  if ('domain' in to) upsertRequestOption('domain', to.domain, row.spaceId)
+  if ('contactPerson' in to) upsertRequestOption('contact', to.contactPerson, row.spaceId)
+  if ('tags' in to) {
+    for (const tag of to.tags) upsertRequestOption('tag', tag, row.spaceId)
+  }
+  addAudit({
+    requestId: row.id,
+    actorId: actor.id,
+    actionType: 'edit',
+    note: note ?? `编辑需求字段：${fields.map((f) => REQUEST_FIELD_LABELS[f]).join('、')}`,
+    fromValue: { status: current.status, fields: from },
+    toValue: { status: current.status, fields: to },
+  })
+  const assignedIds = 'implementerId' in to ? notifyAssignment({ ...current, title: to.title || current.title }, actor, to.implementerId) : []
+  notifyRequestParticipants(
+    { ...current, implementerId: 'implementerId' in to ? to.implementerId : current.implementerId },
+    {
+      actorId: actor.id,
+      type: 'edit',
+      title: `${actor.name || actor.username} 编辑了需求「${to.title || current.title}」`,
+      content: fields.map((f) => REQUEST_FIELD_LABELS[f]).join('、'),
+      skipUserIds: assignedIds,
+    },
+  )
+  return { changed: true, fields }
+}
 
-  const body = req.body || {}
+const REQUEST_CATEGORIES = ['功能', '优化', '缺陷', '性能', '咨询', 'AI', '精度']
+const REQUEST_PRIORITIES = ['P0', 'P1', 'P2', 'P3']
+
+// Returns the first enum field holding an unknown value; empty values mean "not set".
+function invalidRequestField({ category, priority }) {
+  if (category && !REQUEST_CATEGORIES.includes(category)) return 'category'
+  if (priority && !REQUEST_PRIORITIES.includes(priority)) return 'priority'
+  return null
+}
+
+// Fields a request still lacks before it can leave draft.
+function missingSubmitFields(request) {
+  return ['title', 'description', 'why'].filter((field) => !String(request[field] ?? '').trim())
+}
+
+// Validates an edit body against what the actor may change and turns it into a column patch.
+function readRequestPatch(user, current, body) {
   const patch = {}
   const domainValue = body.domain !== undefined ? normalizeOptionValue(body.domain) : undefined
   const contactValue = body.contactPerson !== undefined ? normalizeOptionValue(body.contactPerson) : undefined
@@ -1391,50 +3406,117 @@ app.patch('/api/requests/:id', authMiddleware, (req, res) => {
   if (body.tags !== undefined) patch.tagsJson = JSON.stringify(tagValues)
   if (body.links !== undefined) patch.linksJson = JSON.stringify(jsonArray(body.links))
   if (body.impactScope !== undefined) patch.impactScope = body.impactScope ? String(body.impactScope) : null
+  if (body.confidential !== undefined) patch.isConfidential = body.confidential ? 1 : 0
   if (body.implementerId !== undefined) {
-    if (!isReviewerLike(user.role)) return res.status(403).json({ message: 'forbidden' })
+    if (!isReviewerLike(user.role)) return { status: 403, message: 'forbidden' }
     const implementerId = String(body.implementerId || '').trim()
     if (implementerId) {
       const implementer = getUserById(implementerId)
-      if (!implementer) return res.status(400).json({ message: 'invalid implementerId' })
+      if (!implementer || !isSpaceMember(current.spaceId, implementer)) return { status: 400, message: 'invalid implementerId' }
       patch.implementerId = implementerId
     } else {
       patch.implementerId = null
     }
   }
   if (body.createdAt != null) {
-    if (user.role !== 'admin') return res.status(403).json({ message: 'forbidden' })
+    if (user.role !== 'admin') return { status: 403, message: 'forbidden' }
     const t = new Date(String(body.createdAt))
-    if (Number.isNaN(t.getTime())) return res.status(400).json({ message: 'invalid createdAt' })
+    if (Number.isNaN(t.getTime())) return { status: 400, message: 'invalid createdAt' }
     patch.createdAt = t.toISOString()
   }
 
-  if (patch.title === '') return res.status(400).json({ message: 'title required' })
+  if (patch.title === '' && current.status !== DRAFT_STATUS) return { status: 400, message: 'title required' }
+  const invalid = invalidRequestField(patch)
+  if (invalid) return { status: 400, message: `invalid ${invalid}` }
+  return { ok: true, patch }
+}
 
-  patch.updatedAt = nowIso()
+function saveRequestPatch(user, row, patch) {
+  if (!Object.keys(patch).length) return { changed: false }
+  // Drafts are not audited; their options and the create entry are recorded on submit.
+  if (row.status === DRAFT_STATUS) {
+    const values = { ...patch, updatedAt: nowIso() }
+    const setSql = Object.keys(values)
+      .map((f) => `${f}=@${f}`)
+      .join(', ')
+    db.prepare(`UPDATE requests SET ${setSql} WHERE id=@id`).run({ id: row.id, ...values })
+    return { changed: true }
+  }
+  return applyRequestEdit(user, row, patch)
+}
 
-  const fields = Object.keys(patch)
-  if (!fields.length) return res.json({ ok: true })
+app.patch('/api/requests/:id', requestSpaceAuth, (req, res) => {
+  const user = req.user
+  const id = req.params.id
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+  if (!canEditRequest(user, current)) return res.status(403).json({ message: 'forbidden' })
+
+  const result = readRequestPatch(user, current, req.body || {})
+  if (!result.ok) return res.status(result.status).json({ message: result.message })
+  if (!Object.keys(result.patch).length) return res.json({ ok: true })
+  const saved = saveRequestPatch(user, row, result.patch)
+  return row.status === DRAFT_STATUS ? res.json({ ok: true }) : res.json({ ok: true, changed: saved.changed })
+})
+
+// Puts the content fields back to how they were right after the given edit (or at creation) by
+// undoing every later field diff on top of the current row.
+app.post('/api/requests/:id/restore', requestSpaceAuth, requireRole(['reviewer', 'admin']), (req, res) => {
+  const user = req.user
+  const id = req.params.id
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  if (row.status === DRAFT_STATUS) return res.status(400).json({ message: 'drafts have no history' })
+  const target = db
+    .prepare('SELECT * FROM audit_logs WHERE id = ? AND requestId = ?')
+    .get(String(req.body?.auditLogId || ''), id)
+  if (!target || !['edit', 'create'].includes(target.actionType)) return res.status(400).json({ message: 'invalid auditLogId' })
+
+  const state = {}
+  for (const [column, field] of Object.entries(REQUEST_EDIT_FIELDS)) {
+    if (RESTORABLE_FIELDS.includes(field)) state[field] = editFieldValue(column, row[column])
+  }
+  const later = db
+    .prepare("SELECT fromJson FROM audit_logs WHERE requestId = ? AND actionType = 'edit' AND seq > ? ORDER BY seq DESC")
+    .all(id, target.seq)
+  for (const log of later) {
+    const fields = fromJson(log.fromJson, null)?.fields ?? {}
+    for (const field of RESTORABLE_FIELDS) {
+      if (field in fields) state[field] = fields[field]
+    }
+  }
 
-  const setSql = fields.map((f) => `${f}=@${f}`).join(', ')
-  db.prepare(`UPDATE requests SET ${setSql} WHERE id=@id`).run({ id, ...patch })
-  if (body.domain !== undefined) upsertRequestOption('domain', domainValue)
-  if (body.contactPerson !== undefined) upsertRequestOption('contact', contactValue)
-  if (body.tags !== undefined && Array.isArray(tagValues)) {
-    for (const tag of tagValues) upsertRequestOption('tag', tag)
+  const patch = {}
+  for (const [column, field] of Object.entries(REQUEST_EDIT_FIELDS)) {
+    if (field in state) patch[column] = editColumnValue(field, state[field])
   }
-  const note = patch.createdAt ? '编辑需求字段（含提交时间）' : '编辑需求字段'
-  addAudit({ requestId: id, actorId: user.id, actionType: 'edit', note, fromValue: { status: current.status }, toValue: { status: current.status } })
-  return res.json({ ok: true })
+  const result = applyRequestEdit(user, row, patch, `恢复到 ${formatDateTimeText(target.createdAt)} 的版本`)
+  return res.json({ ok: true, changed: result.changed })
 })
 
-app.delete('/api/requests/:id', authMiddleware, requireRole(['admin']), (req, res) => {
+app.post('/api/requests/:id/submit', requestSpaceAuth, (req, res) => {
+  const user = req.user
   const id = req.params.id
-  const row = db.prepare('SELECT id FROM requests WHERE id = ?').get(id)
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
   if (!row) return res.status(404).json({ message: 'not found' })
+  const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+  if (current.requesterId !== user.id) return res.status(403).json({ message: 'forbidden' })
+  if (current.status !== DRAFT_STATUS) return res.status(400).json({ message: 'not a draft' })
+  const [missing] = missingSubmitFields(current)
+  if (missing) return res.status(400).json({ message: `${missing} required` })
+
+  const t = nowIso()
+  const status = getWorkflow().initialState
+  db.prepare('UPDATE requests SET status = ?, createdAt = ?, updatedAt = ? WHERE id = ?').run(status, t, t, id)
+  upsertRequestOption('domain', current.domain, req.space.id)
+  upsertRequestOption('contact', current.contactPerson, req.space.id)
+  for (const tag of current.tags) upsertRequestOption('tag', tag, req.space.id)
+  addAudit({ requestId: id, actorId: user.id, actionType: 'create', toValue: { status } })
+  return res.json({ ok: true })
+})
 
-  const attachments = db.prepare('SELECT storedPath FROM attachments WHERE requestId = ?').all(id)
-  db.prepare('DELETE FROM requests WHERE id = ?').run(id)
+function removeAttachmentFiles(attachments) {
   for (const att of attachments) {
     if (!att?.storedPath) continue
     try {
@@ -1444,120 +3526,571 @@ app.delete('/api/requests/:id', authMiddleware, requireRole(['admin']), (req, re
       console.error('failed to delete attachment', att.storedPath, e)
     }
   }
+}
+
+// Permanently removes a request. Drafts were never audited; submitted requests keep their
+// audit trail behind a tombstone.
+function purgeRequest(row, actorId, note = '删除需求') {
+  const attachments = db.prepare('SELECT storedPath FROM attachments WHERE requestId = ?').all(row.id)
+  db.transaction(() => {
+    if (row.status !== DRAFT_STATUS) {
+      const snapshot = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+      db.prepare(
+        `
+        INSERT INTO request_tombstones (id, spaceId, title, status, requesterId, snapshotJson, deletedBy, deletedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      ).run(row.id, row.spaceId, row.title, row.status, row.requesterId, JSON.stringify(snapshot), actorId, nowIso())
+      addAudit({ requestId: row.id, actorId, actionType: 'delete', fromValue: { status: row.status }, note })
+    }
+    db.prepare('DELETE FROM requests WHERE id = ?').run(row.id)
+  })()
+  removeAttachmentFiles(attachments)
+}
+
+// Own drafts are deleted outright; submitted requests go to the trash until an admin restores
+// or purges them, or the retention period runs out.
+function deleteRequest(actor, row) {
+  const ownDraft = row.status === DRAFT_STATUS && row.requesterId === actor.id
+  if (actor.role !== 'admin' && !ownDraft) return { status: 403, message: 'forbidden' }
+
+  if (row.status === DRAFT_STATUS) {
+    purgeRequest(row, actor.id)
+    return { ok: true }
+  }
+  const t = nowIso()
+  db.transaction(() => {
+    db.prepare('UPDATE requests SET deletedAt = ?, deletedBy = ? WHERE id = ?').run(t, actor.id, row.id)
+    addAudit({ requestId: row.id, actorId: actor.id, actionType: 'trash', fromValue: { status: row.status }, note: '移入回收站' })
+  })()
+  return { ok: true, trashed: true }
+}
+
+app.delete('/api/requests/:id', requestSpaceAuth, (req, res) => {
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(req.params.id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  const result = deleteRequest(req.user, row)
+  if (!result.ok) return res.status(result.status).json({ message: result.message })
+  return res.json(result.trashed ? { ok: true, trashed: true } : { ok: true })
+})
+
+app.post('/api/requests/:id/archive', requestSpaceAuth, requireRole(['reviewer', 'admin']), (req, res) => {
+  const id = req.params.id
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  const archived = req.body?.archived !== false
+  const finalStates = new Set(getWorkflow().states.filter((s) => s.final).map((s) => s.key))
+  if (archived && !finalStates.has(row.status)) return res.status(400).json({ message: 'only finished requests can be archived' })
+  if (archived === !!row.archivedAt) return res.json({ ok: true, archivedAt: row.archivedAt ?? null })
+
+  const archivedAt = archived ? nowIso() : null
+  db.transaction(() => {
+    db.prepare('UPDATE requests SET archivedAt = ? WHERE id = ?').run(archivedAt, id)
+    addAudit({
+      requestId: id,
+      actorId: req.user.id,
+      actionType: 'archive',
+      fromValue: { archived: !archived },
+      toValue: { archived },
+      note: archived ? '归档' : '取消归档',
+    })
+  })()
+  return res.json({ ok: true, archivedAt })
+})
+
+const TRASH_RETENTION_DAYS = Math.max(1, Number(process.env.TRASH_RETENTION_DAYS) || 30)
+
+function trashPurgeAt(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+}
+
+app.get('/api/admin/trash', spaceAuth, requireRole(['admin']), (req, res) => {
+  const list = db
+    .prepare(
+      `
+      ${requestListSelect('')}
+      WHERE r.spaceId = ? AND r.deletedAt IS NOT NULL
+      ORDER BY r.deletedAt DESC
+    `,
+    )
+    .all(req.space.id)
+  return res.json({
+    retentionDays: TRASH_RETENTION_DAYS,
+    list: list.map((row) => {
+      const deleter = row.deletedBy ? getUserById(row.deletedBy) : null
+      return {
+        ...rowToRequest(row),
+        deletedByName: deleter?.name,
+        deletedByUsername: deleter?.username,
+        purgeAt: trashPurgeAt(row.deletedAt),
+      }
+    }),
+  })
+})
+
+const trashAdminAuth = [
+  authMiddleware,
+  spaceScope((req) => db.prepare('SELECT spaceId FROM requests WHERE id = ?').get(req.params.id)?.spaceId),
+  requireRole(['admin']),
+]
+
+app.post('/api/admin/trash/:id/restore', trashAdminAuth, (req, res) => {
+  const row = db.prepare('SELECT * FROM requests WHERE id = ? AND deletedAt IS NOT NULL').get(req.params.id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  db.transaction(() => {
+    db.prepare('UPDATE requests SET deletedAt = NULL, deletedBy = NULL WHERE id = ?').run(row.id)
+    addAudit({ requestId: row.id, actorId: req.user.id, actionType: 'restore', toValue: { status: row.status }, note: '从回收站恢复' })
+  })()
+  return res.json({ ok: true })
+})
+
+app.delete('/api/admin/trash/:id', trashAdminAuth, (req, res) => {
+  const row = db.prepare('SELECT * FROM requests WHERE id = ? AND deletedAt IS NOT NULL').get(req.params.id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  purgeRequest(row, req.user.id, '彻底删除')
   return res.json({ ok: true })
 })
 
-app.post('/api/requests/:id/comments', authMiddleware, (req, res) => {
+// Replaces the comment's mention rows and returns the users now mentioned.
+function recordMentions(request, commentId, content) {
+  const mentioned = resolveMentions(request, content)
+  db.prepare('DELETE FROM comment_mentions WHERE commentId = ?').run(commentId)
+  const insert = db.prepare('INSERT INTO comment_mentions (commentId, userId) VALUES (?, ?)')
+  for (const u of mentioned) insert.run(commentId, u.id)
+  return mentioned
+}
+
+function notifyMentions(request, actor, userIds, content) {
+  notifyUsers(userIds, {
+    requestId: request.id,
+    actorId: actor.id,
+    type: 'mention',
+    title: `${actor.name || actor.username} 在需求「${request.title}」中提到了你`,
+    content,
+  })
+  for (const userId of userIds) watchRequest(request.id, userId, 'mention')
+}
+
+app.post('/api/requests/:id/comments', requestSpaceAuth, (req, res) => {
   const user = req.user
   const id = req.params.id
   const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
   if (!row) return res.status(404).json({ message: 'not found' })
   const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
-  if (!canViewRequest(user, current)) return res.status(403).json({ message: 'forbidden' })
+  if (!canViewRequest(user, current, visibilityScope(user, req.space))) return res.status(403).json({ message: 'forbidden' })
 
   const content = String(req.body?.content || '').trim()
   if (!content) return res.status(400).json({ message: 'content required' })
+  let parentId = null
+  if (req.body?.parentId) {
+    const parent = db.prepare('SELECT id, parentId FROM comments WHERE id = ? AND requestId = ?').get(String(req.body.parentId), id)
+    if (!parent) return res.status(400).json({ message: 'invalid parentId' })
+    // Threads are one level deep; replying to a reply lands in the same thread.
+    parentId = parent.parentId ?? parent.id
+  }
   const t = nowIso()
-
-  db.prepare('INSERT INTO comments (id, requestId, authorId, content, createdAt) VALUES (?, ?, ?, ?, ?)').run(
-    nanoid(),
-    id,
-    user.id,
-    content,
-    t,
-  )
+  const commentId = nanoid()
+
+  const mentioned = db.transaction(() => {
+    db.prepare('INSERT INTO comments (id, requestId, authorId, content, parentId, createdAt) VALUES (?, ?, ?, ?, ?, ?)').run(
+      commentId,
+      id,
+      user.id,
+      content,
+      parentId,
+      t,
+    )
+    return recordMentions(current, commentId, content)
+  })()
   db.prepare('UPDATE requests SET updatedAt=? WHERE id=?').run(t, id)
   addAudit({ requestId: id, actorId: user.id, actionType: 'comment', note: content })
-  return res.json({ ok: true })
+  const mentionedIds = mentioned.map((u) => u.id).filter((userId) => userId !== user.id)
+  notifyRequestParticipants(current, {
+    actorId: user.id,
+    type: 'comment',
+    title: `${user.name || user.username} ${parentId ? '回复了' : '评论了'}需求「${current.title}」`,
+    content,
+    skipUserIds: mentionedIds,
+  })
+  // Mentioned users get one targeted notification instead of the generic comment one.
+  notifyMentions(current, user, mentionedIds, content)
+  watchRequest(id, user.id, 'comment')
+  return res.json({ ok: true, id: commentId })
 })
 
-app.delete('/api/requests/:id/comments/:commentId', authMiddleware, (req, res) => {
+// Loads the addressed comment of a request the caller can view; returns { status, message } on failure.
+function loadRequestComment(req) {
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(req.params.id)
+  if (!row) return { status: 404, message: 'not found' }
+  const request = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+  if (!canViewRequest(req.user, request, visibilityScope(req.user, req.space))) return { status: 403, message: 'forbidden' }
+  const comment = db.prepare('SELECT * FROM comments WHERE id = ? AND requestId = ?').get(req.params.commentId, request.id)
+  if (!comment) return { status: 404, message: 'comment not found' }
+  return { request, comment }
+}
+
+app.patch('/api/requests/:id/comments/:commentId', requestSpaceAuth, (req, res) => {
   const user = req.user
-  const requestId = req.params.id
-  const commentId = req.params.commentId
+  const found = loadRequestComment(req)
+  if (!found.comment) return res.status(found.status).json({ message: found.message })
+  const { request, comment } = found
+  if (comment.authorId !== user.id) return res.status(403).json({ message: 'forbidden' })
 
-  const requestRow = db.prepare('SELECT * FROM requests WHERE id = ?').get(requestId)
-  if (!requestRow) return res.status(404).json({ message: 'not found' })
-  const request = rowToRequest({ ...requestRow, requesterName: '', reviewerName: '' })
-  if (!canViewRequest(user, request)) return res.status(403).json({ message: 'forbidden' })
+  const content = String(req.body?.content || '').trim()
+  if (!content) return res.status(400).json({ message: 'content required' })
+  if (content === comment.content) return res.json({ ok: true })
+  const t = nowIso()
+  const previousIds = new Set(
+    db.prepare('SELECT userId FROM comment_mentions WHERE commentId = ?').all(comment.id).map((m) => m.userId),
+  )
+  const mentioned = db.transaction(() => {
+    db.prepare('INSERT INTO comment_versions (id, commentId, content, editedBy, createdAt) VALUES (?, ?, ?, ?, ?)').run(
+      nanoid(),
+      comment.id,
+      comment.content,
+      user.id,
+      t,
+    )
+    db.prepare('UPDATE comments SET content = ?, editedAt = ? WHERE id = ?').run(content, t, comment.id)
+    return recordMentions(request, comment.id, content)
+  })()
+  db.prepare('UPDATE requests SET updatedAt=? WHERE id=?').run(t, request.id)
+  addAudit({
+    requestId: request.id,
+    actorId: user.id,
+    actionType: 'comment_edit',
+    fromValue: { commentId: comment.id, content: comment.content },
+    toValue: { commentId: comment.id, content },
+    note: '编辑评论',
+  })
+  notifyMentions(
+    request,
+    user,
+    mentioned.map((u) => u.id).filter((userId) => userId !== user.id && !previousIds.has(userId)),
+    content,
+  )
+  return res.json({ ok: true })
+})
 
-  const comment = db.prepare('SELECT * FROM comments WHERE id = ? AND requestId = ?').get(commentId, requestId)
-  if (!comment) return res.status(404).json({ message: 'comment not found' })
-  if (comment.authorId !== user.id && user.role !== 'admin') return res.status(403).json({ message: 'forbidden' })
+app.get('/api/requests/:id/comments/:commentId/versions', requestSpaceAuth, requireRole(['admin']), (req, res) => {
+  const found = loadRequestComment(req)
+  if (!found.comment) return res.status(found.status).json({ message: found.message })
+  const versions = db
+    .prepare(
+      `
+      SELECT v.id, v.content, v.editedBy, v.createdAt, u.name AS editedByName, u.username AS editedByUsername
+      FROM comment_versions v
+      JOIN users u ON u.id = v.editedBy
+      WHERE v.commentId = ?
+      ORDER BY v.createdAt DESC
+    `,
+    )
+    .all(found.comment.id)
+  return res.json({ current: { content: found.comment.content, editedAt: found.comment.editedAt }, versions })
+})
 
-  db.prepare('DELETE FROM comments WHERE id = ?').run(commentId)
-  const t = nowIso()
-  db.prepare('UPDATE requests SET updatedAt=? WHERE id=?').run(t, requestId)
-  addAudit({ requestId, actorId: user.id, actionType: 'comment', note: '删除评论' })
+app.post('/api/requests/:id/comments/:commentId/resolve', requestSpaceAuth, (req, res) => {
+  const user = req.user
+  const found = loadRequestComment(req)
+  if (!found.comment) return res.status(found.status).json({ message: found.message })
+  const { request, comment } = found
+  if (comment.parentId) return res.status(400).json({ message: 'only threads can be resolved' })
+  const allowed = comment.authorId === user.id || request.requesterId === user.id || isReviewerLike(user.role)
+  if (!allowed) return res.status(403).json({ message: 'forbidden' })
+
+  const resolved = req.body?.resolved !== false
+  if (resolved === !!comment.resolvedAt) return res.json({ ok: true })
+  db.prepare('UPDATE comments SET resolvedAt = ?, resolvedBy = ? WHERE id = ?').run(
+    resolved ? nowIso() : null,
+    resolved ? user.id : null,
+    comment.id,
+  )
+  addAudit({
+    requestId: request.id,
+    actorId: user.id,
+    actionType: 'comment_resolve',
+    note: resolved ? `标记讨论已解决：${truncateText(comment.content, 50)}` : `重新打开讨论：${truncateText(comment.content, 50)}`,
+  })
   return res.json({ ok: true })
 })
 
-app.post('/api/requests/:id/status', authMiddleware, (req, res) => {
+const COMMENT_REACTIONS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀']
+
+// Map of commentId -> [{ emoji, count, reacted, users }] in COMMENT_REACTIONS order.
+function listCommentReactions(commentIds, viewerId) {
+  const byComment = new Map()
+  if (!commentIds.length) return byComment
+  const rows = db
+    .prepare(
+      `
+      SELECT cr.commentId, cr.emoji, cr.userId, u.name, u.username
+      FROM comment_reactions cr
+      JOIN users u ON u.id = cr.userId
+      WHERE cr.commentId IN (SELECT value FROM json_each(?))
+      ORDER BY cr.createdAt ASC
+    `,
+    )
+    .all(JSON.stringify(commentIds))
+  for (const row of rows) {
+    const list = byComment.get(row.commentId) ?? []
+    let item = list.find((r) => r.emoji === row.emoji)
+    if (!item) {
+      item = { emoji: row.emoji, count: 0, reacted: false, users: [] }
+      list.push(item)
+    }
+    item.count += 1
+    item.reacted ||= row.userId === viewerId
+    item.users.push(row.name || row.username)
+    byComment.set(row.commentId, list)
+  }
+  for (const list of byComment.values()) {
+    list.sort((a, b) => COMMENT_REACTIONS.indexOf(a.emoji) - COMMENT_REACTIONS.indexOf(b.emoji))
+  }
+  return byComment
+}
+
+app.post('/api/requests/:id/comments/:commentId/reactions', requestSpaceAuth, (req, res) => {
   const user = req.user
-  if (!canReview(user)) return res.status(403).json({ message: 'forbidden' })
+  const found = loadRequestComment(req)
+  if (!found.comment) return res.status(found.status).json({ message: found.message })
+  const emoji = String(req.body?.emoji || '')
+  if (!COMMENT_REACTIONS.includes(emoji)) return res.status(400).json({ message: 'invalid emoji' })
+
+  // Toggles: reacting twice with the same emoji takes the reaction back.
+  const removed = db
+    .prepare('DELETE FROM comment_reactions WHERE commentId = ? AND userId = ? AND emoji = ?')
+    .run(found.comment.id, user.id, emoji)
+  if (!removed.changes) {
+    db.prepare('INSERT INTO comment_reactions (commentId, userId, emoji, createdAt) VALUES (?, ?, ?, ?)').run(
+      found.comment.id,
+      user.id,
+      emoji,
+      nowIso(),
+    )
+  }
+  return res.json({ reactions: listCommentReactions([found.comment.id], user.id).get(found.comment.id) ?? [] })
+})
 
-  const id = req.params.id
-  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
+app.get('/api/requests/:id/mentionable', requestSpaceAuth, (req, res) => {
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(req.params.id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+  if (!canViewRequest(req.user, current, visibilityScope(req.user, req.space))) return res.status(403).json({ message: 'forbidden' })
+  const like = `%${escapeLike(String(req.query.q || '').trim())}%`
+  const list = db
+    .prepare(
+      `
+      SELECT u.id, u.username, u.name
+      FROM users u
+      LEFT JOIN space_members m ON m.userId = u.id AND m.spaceId = @spaceId
+      WHERE (u.role = 'admin' OR m.userId IS NOT NULL)
+        AND u.username <> @system
+        AND (u.username LIKE @like ESCAPE '\\' OR u.name LIKE @like ESCAPE '\\')
+      ORDER BY u.username ASC
+      LIMIT 30
+      `,
+    )
+    .all({ spaceId: current.spaceId, system: SYSTEM_USERNAME, like })
+    .filter((u) => canUserViewRequest(current, u.id))
+    .slice(0, 10)
+  return res.json({ list })
+})
+
+app.post('/api/requests/:id/watch', requestSpaceAuth, (req, res) => {
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(req.params.id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+  if (!canViewRequest(req.user, current, visibilityScope(req.user, req.space))) return res.status(403).json({ message: 'forbidden' })
+  if (current.status === DRAFT_STATUS) return res.status(400).json({ message: 'cannot watch a draft' })
+  db.prepare(
+    `
+    INSERT INTO request_watchers (requestId, userId, source, createdAt) VALUES (?, ?, 'manual', ?)
+    ON CONFLICT(requestId, userId) DO UPDATE SET source = 'manual'
+  `,
+  ).run(current.id, req.user.id, nowIso())
+  return res.json({ watching: true, watchers: listRequestWatchers(current.id) })
+})
+
+app.delete('/api/requests/:id/watch', requestSpaceAuth, (req, res) => {
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(req.params.id)
   if (!row) return res.status(404).json({ message: 'not found' })
   const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+  if (!canViewRequest(req.user, current, visibilityScope(req.user, req.space))) return res.status(403).json({ message: 'forbidden' })
+  db.prepare('DELETE FROM request_watchers WHERE requestId = ? AND userId = ?').run(current.id, req.user.id)
+  return res.json({ watching: false, watchers: listRequestWatchers(current.id) })
+})
 
-  const toStatus = String(req.body?.toStatus || '')
-  const reason = String(req.body?.reason || '').trim()
-  const suspendUntil = req.body?.suspendUntil ? String(req.body.suspendUntil).trim() : ''
-  const suspendCondition = req.body?.suspendCondition ? String(req.body.suspendCondition).trim() : ''
-  const implementerIdRaw = req.body?.implementerId ? String(req.body.implementerId).trim() : ''
+app.delete('/api/requests/:id/comments/:commentId', requestSpaceAuth, (req, res) => {
+  const user = req.user
+  const found = loadRequestComment(req)
+  if (!found.comment) return res.status(found.status).json({ message: found.message })
+  const { request, comment } = found
+  if (comment.authorId !== user.id && user.role !== 'admin') return res.status(403).json({ message: 'forbidden' })
 
-  if (!toStatus) return res.status(400).json({ message: 'toStatus required' })
-  if (!isTransitionAllowed(current.status, toStatus)) return res.status(400).json({ message: 'transition not allowed' })
-  if (!reason) return res.status(400).json({ message: 'reason required' })
-  if (toStatus === 'Suspended' && !suspendUntil && !suspendCondition) {
-    return res.status(400).json({ message: 'Suspended requires suspendUntil or suspendCondition' })
+  // Replies go with their thread (ON DELETE CASCADE).
+  db.prepare('DELETE FROM comments WHERE id = ?').run(comment.id)
+  const t = nowIso()
+  db.prepare('UPDATE requests SET updatedAt=? WHERE id=?').run(t, request.id)
+  addAudit({
+    requestId: request.id,
+    actorId: user.id,
+    actionType: 'comment_delete',
+    fromValue: { commentId: comment.id, content: comment.content },
+    note: '删除评论',
+  })
+  return res.json({ ok: true })
+})
+
+function transitionRequest(actor, current, input) {
+  const workflow = getWorkflow()
+  const toStatus = String(input.toStatus || '')
+  const reason = String(input.reason || '').trim()
+  const suspendUntil = input.suspendUntil ? String(input.suspendUntil).trim() : ''
+  const suspendCondition = input.suspendCondition ? String(input.suspendCondition).trim() : ''
+  const implementerIdRaw = input.implementerId ? String(input.implementerId).trim() : ''
+
+  if (!toStatus) return { status: 400, message: 'toStatus required' }
+  const transition = findTransition(workflow, current.status, toStatus)
+  if (!transition) return { status: 400, message: 'transition not allowed' }
+  if (!canPerformTransition(transition, actor, current)) return { status: 403, message: 'forbidden' }
+  if (toStatus === BLOCKED_CLOSE_STATUS) {
+    const blockers = openBlockers(current.id)
+    if (blockers.length) return { status: 400, message: `blocked by open requests: ${blockers.map((b) => b.id).join(', ')}` }
   }
-  if (toStatus === 'Accepted') {
-    if (!implementerIdRaw) return res.status(400).json({ message: 'implementerId required' })
+  const missing = missingTransitionFields(transition, { reason, suspendUntil, suspendCondition, implementerId: implementerIdRaw })
+  if (missing.length) return { status: 400, message: `${missing.map((f) => f.replace('|', ' or ')).join(', ')} required` }
+  const setsImplementer = transitionUsesField(transition, 'implementerId') && !!implementerIdRaw
+  if (setsImplementer) {
     const implementer = getUserById(implementerIdRaw)
-    if (!implementer) return res.status(400).json({ message: 'invalid implementerId' })
+    if (!implementer || !isSpaceMember(current.spaceId, implementer)) return { status: 400, message: 'invalid implementerId' }
   }
+  const keepsSuspend = transitionUsesField(transition, 'suspendUntil') || transitionUsesField(transition, 'suspendCondition')
 
   const t = nowIso()
-  const implementerId = toStatus === 'Accepted' ? implementerIdRaw : (current.implementerId ?? null)
+  const implementerId = setsImplementer ? implementerIdRaw : (current.implementerId ?? null)
   const patch = {
     status: toStatus,
-    reviewerId: user.id,
+    reviewerId: isReviewerLike(actor.role) && !actor.isSystem ? actor.id : (current.reviewerId ?? null),
     implementerId,
-    decisionReason: reason,
-    suspendUntil: toStatus === 'Suspended' ? (suspendUntil || null) : null,
-    suspendCondition: toStatus === 'Suspended' ? (suspendCondition || null) : null,
+    decisionReason: transitionUsesField(transition, 'reason') ? reason : (current.decisionReason ?? null),
+    suspendUntil: keepsSuspend ? (suspendUntil || null) : null,
+    suspendCondition: keepsSuspend ? (suspendCondition || null) : null,
+    // Reopening a finished request brings it back out of the archive.
+    archivedAt: workflow.states.find((s) => s.key === toStatus)?.final ? (current.archivedAt ?? null) : null,
     updatedAt: t,
   }
 
   db.prepare(
     `
     UPDATE requests
-    SET status=@status, reviewerId=@reviewerId, implementerId=@implementerId, decisionReason=@decisionReason, suspendUntil=@suspendUntil, suspendCondition=@suspendCondition, updatedAt=@updatedAt
+    SET status=@status, reviewerId=@reviewerId, implementerId=@implementerId, decisionReason=@decisionReason, suspendUntil=@suspendUntil, suspendCondition=@suspendCondition, archivedAt=@archivedAt, updatedAt=@updatedAt
     WHERE id=@id
   `,
-  ).run({ id, ...patch })
+  ).run({ id: current.id, ...patch })
 
+  const note = reason || transition.label
   addAudit({
-    requestId: id,
-    actorId: user.id,
+    requestId: current.id,
+    actorId: actor.id,
     actionType: 'status_change',
     fromValue: { status: current.status },
     toValue: {
       status: toStatus,
-      decisionReason: reason,
+      decisionReason: patch.decisionReason,
       implementerId,
       suspendUntil: patch.suspendUntil,
       suspendCondition: patch.suspendCondition,
     },
-    note: reason,
+    note,
   })
+  let title = `需求「${current.title}」状态变更为${statusLabel(toStatus)}`
+  if (toStatus === 'NeedInfo') title = `需求「${current.title}」需要补充信息`
+  else if (toStatus === workflow.initialState) title = `需求「${current.title}」已重新进入评审`
+  const assignedIds = notifyAssignment(current, actor, implementerId, note)
+  notifyRequestParticipants(
+    { ...current, reviewerId: patch.reviewerId, implementerId },
+    {
+      actorId: actor.id,
+      type: toStatus === 'NeedInfo' ? 'need_info' : 'status_change',
+      title,
+      content: note,
+      skipUserIds: assignedIds,
+    },
+  )
+  return { ok: true }
+}
+
+app.post('/api/requests/:id/status', requestSpaceAuth, (req, res) => {
+  const user = req.user
+  const id = req.params.id
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
 
+  const result = transitionRequest(user, current, req.body || {})
+  if (!result.ok) return res.status(result.status).json({ message: result.message })
   return res.json({ ok: true })
 })
 
-app.post('/api/requests/:id/resubmit', authMiddleware, (req, res) => {
+const BULK_MAX_IDS = 200
+const BULK_ACTIONS = ['status', 'assign', 'priority', 'domain', 'category', 'addTags', 'removeTags', 'delete']
+
+// One item of a bulk action, checked exactly like the single-request routes.
+function applyBulkAction(actor, row, action, body) {
+  const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+  if (action === 'status') return transitionRequest(actor, current, body)
+  if (action === 'delete') return deleteRequest(actor, row)
+  if (!canEditRequest(actor, current)) return { status: 403, message: 'forbidden' }
+
+  let edit
+  if (action === 'assign') edit = { implementerId: body.implementerId }
+  else if (action === 'addTags') edit = { tags: [...current.tags, ...normalizeTagList(body.tags)] }
+  else if (action === 'removeTags') {
+    const removed = new Set(normalizeTagList(body.tags))
+    edit = { tags: current.tags.filter((tag) => !removed.has(tag)) }
+  } else edit = { [action]: body[action] ?? null }
+  const result = readRequestPatch(actor, current, edit)
+  if (!result.ok) return result
+  return { ok: true, changed: saveRequestPatch(actor, row, result.patch).changed }
+}
+
+// Applies one action to many requests in a single transaction. Items that fail validation are
+// reported and skipped; the others still go through, each with its own audit entry.
+app.post('/api/requests/bulk', spaceAuth, (req, res) => {
+  const body = req.body || {}
+  const action = String(body.action || '')
+  if (!BULK_ACTIONS.includes(action)) return res.status(400).json({ message: 'invalid action' })
+  const ids = Array.isArray(body.ids) ? [...new Set(body.ids.map((id) => String(id).trim()).filter(Boolean))] : []
+  if (!ids.length) return res.status(400).json({ message: 'ids required' })
+  if (ids.length > BULK_MAX_IDS) return res.status(400).json({ message: `at most ${BULK_MAX_IDS} requests at a time` })
+  if (['addTags', 'removeTags'].includes(action) && !normalizeTagList(body.tags).length) {
+    return res.status(400).json({ message: 'tags required' })
+  }
+  // An empty implementerId unassigns; leaving it out is a mistake rather than a no-op.
+  if (action === 'assign' && body.implementerId === undefined) return res.status(400).json({ message: 'implementerId required' })
+
+  const scope = visibilityScope(req.user, req.space)
+  const results = db.transaction(() =>
+    ids.map((id) => {
+      const row = db.prepare('SELECT * FROM requests WHERE id = ? AND spaceId = ? AND deletedAt IS NULL').get(id, req.space.id)
+      const current = row && rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+      if (!row || !canViewRequest(req.user, current, scope)) return { id, ok: false, message: 'not found' }
+      try {
+        // A savepoint per item, so an unexpected error only undoes that request.
+        const result = db.transaction(() => applyBulkAction(req.user, row, action, body))()
+        return result.ok ? { id, ok: true, changed: result.changed !== false } : { id, ok: false, message: result.message }
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.error('bulk action failed', id, e)
+        return { id, ok: false, message: 'internal error' }
+      }
+    }),
+  )()
+  const succeeded = results.filter((r) => r.ok).length
+  return res.json({ results, succeeded, failed: results.length - succeeded })
+})
+
+app.post('/api/requests/:id/resubmit', requestSpaceAuth, (req, res) => {
   const user = req.user
   const id = req.params.id
   const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
@@ -1565,24 +4098,294 @@ app.post('/api/requests/:id/resubmit', authMiddleware, (req, res) => {
   const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
 
   const note = String(req.body?.note || '重新进入评审').trim()
-  const allowed =
-    (current.status === 'NeedInfo' && current.requesterId === user.id) ||
-    ((current.status === 'Suspended' || current.status === 'Rejected') && isReviewerLike(user.role))
+  const result = transitionRequest(user, current, { toStatus: getWorkflow().initialState, reason: note })
+  if (!result.ok) return res.status(result.status).json({ message: result.message })
+  return res.json({ ok: true })
+})
+
+// Duplicates are closed outside the configured transitions, so pick the workflow's closing state.
+function duplicateClosedStatus() {
+  const states = getWorkflow().states
+  return (states.find((s) => s.key === 'Closed') ?? states.find((s) => s.final))?.key ?? null
+}
+
+function markRequestDuplicate(actor, current, input) {
+  if (!isReviewerLike(actor.role)) return { status: 403, message: 'forbidden' }
+  if (current.status === DRAFT_STATUS) return { status: 400, message: 'draft cannot be marked as duplicate' }
+
+  const targetId = String(input.duplicateOfId || '').trim()
+  if (!targetId) return { status: 400, message: 'duplicateOfId required' }
+  let target = db.prepare('SELECT id, title, status, duplicateOfId, spaceId, deletedAt FROM requests WHERE id = ?').get(targetId)
+  // Always link to the root so duplicates never form chains.
+  if (target?.duplicateOfId) {
+    target = db
+      .prepare('SELECT id, title, status, duplicateOfId, spaceId, deletedAt FROM requests WHERE id = ?')
+      .get(target.duplicateOfId)
+  }
+  if (!target || target.status === DRAFT_STATUS || target.spaceId !== current.spaceId || target.deletedAt) {
+    return { status: 400, message: 'invalid duplicateOfId' }
+  }
+  if (target.id === current.id) return { status: 400, message: 'cannot mark request as duplicate of itself' }
+
+  // A finished request keeps its outcome; closing an open one waits for its blockers like a regular close.
+  const closes = !getWorkflow().states.find((s) => s.key === current.status)?.final
+  const closedStatus = closes ? duplicateClosedStatus() : current.status
+  if (!closedStatus) return { status: 400, message: 'workflow has no final state' }
+  if (closes) {
+    const blockers = openBlockers(current.id).filter((b) => b.id !== target.id)
+    if (blockers.length) return { status: 400, message: `blocked by open requests: ${blockers.map((b) => b.id).join(', ')}` }
+  }
+
+  const id = current.id
+  const note = String(input.note || '').trim()
+  const reason = note || `与需求 ${target.id} 重复`
+  const t = nowIso()
+  const patch = {
+    status: closedStatus,
+    duplicateOfId: target.id,
+    reviewerId: actor.id,
+    decisionReason: closes ? reason : (current.decisionReason ?? null),
+    suspendUntil: closes ? null : (current.suspendUntil ?? null),
+    suspendCondition: closes ? null : (current.suspendCondition ?? null),
+    updatedAt: t,
+  }
+  db.transaction(() => {
+    db.prepare(
+      `
+      UPDATE requests
+      SET status=@status, duplicateOfId=@duplicateOfId, reviewerId=@reviewerId, decisionReason=@decisionReason, suspendUntil=@suspendUntil, suspendCondition=@suspendCondition, updatedAt=@updatedAt
+      WHERE id=@id
+    `,
+    ).run({ id, ...patch })
+    db.prepare("DELETE FROM request_relations WHERE fromId = ? AND type = 'duplicate-of'").run(id)
+    db.prepare(
+      "INSERT INTO request_relations (id, fromId, toId, type, createdBy, createdAt) VALUES (?, ?, ?, 'duplicate-of', ?, ?)",
+    ).run(nanoid(), id, target.id, actor.id, t)
+    db.prepare('UPDATE requests SET duplicateOfId = ? WHERE duplicateOfId = ?').run(target.id, id)
+    // Watchers of the duplicate keep following the canonical request.
+    db.prepare(
+      'INSERT OR IGNORE INTO request_watchers (requestId, userId, source, createdAt) SELECT ?, userId, source, ? FROM request_watchers WHERE requestId = ?',
+    ).run(target.id, t, id)
+    db.prepare("UPDATE OR IGNORE request_relations SET toId = ? WHERE toId = ? AND type = 'duplicate-of'").run(target.id, id)
+    db.prepare("DELETE FROM request_relations WHERE toId = ? AND type = 'duplicate-of'").run(id)
+    db.prepare('UPDATE requests SET updatedAt = ? WHERE id = ?').run(t, target.id)
+    addAudit({
+      requestId: id,
+      actorId: actor.id,
+      actionType: 'status_change',
+      fromValue: { status: current.status, duplicateOfId: current.duplicateOfId ?? null },
+      toValue: { status: closedStatus, duplicateOfId: target.id, decisionReason: patch.decisionReason },
+      note: `标记为 ${target.id} 的重复需求${note ? `：${note}` : ''}`,
+    })
+    addAudit({ requestId: target.id, actorId: actor.id, actionType: 'edit', note: `需求 ${id} 被标记为本需求的重复` })
+  })()
+
+  notifyRequestParticipants(
+    { ...current, reviewerId: actor.id },
+    {
+      actorId: actor.id,
+      type: 'status_change',
+      title: closes
+        ? `需求「${current.title}」已作为「${target.title}」的重复需求关闭`
+        : `需求「${current.title}」已标记为「${target.title}」的重复需求`,
+      content: reason,
+    },
+  )
+  return { ok: true, duplicateOfId: target.id }
+}
+
+app.post('/api/requests/:id/duplicate', requestSpaceAuth, requireRole(['reviewer', 'admin']), (req, res) => {
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(req.params.id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+
+  const result = markRequestDuplicate(req.user, current, req.body || {})
+  if (!result.ok) return res.status(result.status).json({ message: result.message })
+  return res.json({ ok: true, duplicateOfId: result.duplicateOfId })
+})
+
+// Audit wording for a relation as seen from its source and from its target.
+const RELATION_AUDIT_LABELS = {
+  'duplicate-of': ['重复于', '存在重复需求'],
+  blocks: ['阻塞', '被阻塞于'],
+  'depends-on': ['依赖', '被依赖于'],
+  'parent-of': ['包含子需求', '属于父需求'],
+  'related-to': ['关联', '关联'],
+}
+
+function auditRelation(actorId, relation, verb) {
+  const [outgoing, incoming] = RELATION_AUDIT_LABELS[relation.type]
+  const value = { relation: { type: relation.type, fromId: relation.fromId, toId: relation.toId } }
+  const fromValue = verb === '移除' ? value : null
+  const toValue = verb === '移除' ? null : value
+  addAudit({ requestId: relation.fromId, actorId, actionType: 'edit', fromValue, toValue, note: `${verb}关联：${outgoing} #${relation.toId}` })
+  addAudit({ requestId: relation.toId, actorId, actionType: 'edit', fromValue, toValue, note: `${verb}关联：${incoming} #${relation.fromId}` })
+}
+
+// `visibility` is the viewer's visibilityFilter; relations to requests they may not open are left out.
+function listRequestRelations(id, visibility) {
+  return db
+    .prepare(
+      `
+      SELECT rr.id, rr.type, rr.fromId, rr.toId, rr.createdAt, r.id AS otherId, r.title AS otherTitle, r.status AS otherStatus
+      FROM request_relations rr
+      JOIN requests r ON r.id = CASE WHEN rr.fromId = @id THEN rr.toId ELSE rr.fromId END
+      WHERE (rr.fromId = @id OR rr.toId = @id) AND ${visibility.sql}
+      ORDER BY rr.createdAt ASC
+    `,
+    )
+    .all({ ...visibility.params, id })
+    .map((row) => ({
+      id: row.id,
+      type: row.type,
+      direction: row.fromId === id ? 'outgoing' : 'incoming',
+      createdAt: row.createdAt,
+      request: { id: row.otherId, title: row.otherTitle, status: row.otherStatus },
+    }))
+}
+
+// A request is blocked by X when X blocks it or it depends on X, until X reaches a final state.
+function openBlockers(id) {
+  const finalStates = new Set(getWorkflow().states.filter((s) => s.final).map((s) => s.key))
+  return db
+    .prepare(
+      `
+      SELECT DISTINCT r.id, r.title, r.status
+      FROM request_relations rr
+      JOIN requests r ON r.id = CASE rr.type WHEN 'blocks' THEN rr.fromId ELSE rr.toId END
+      WHERE ((rr.type = 'blocks' AND rr.toId = @id) OR (rr.type = 'depends-on' AND rr.fromId = @id)) AND r.deletedAt IS NULL
+    `,
+    )
+    .all({ id })
+    .filter((r) => !finalStates.has(r.status))
+}
+
+function wouldCreateCycle(type, fromId, toId) {
+  if (type === 'parent-of') {
+    // Walk up from the new parent; reaching the child means the child is already an ancestor.
+    const parentOf = db.prepare("SELECT fromId FROM request_relations WHERE type = 'parent-of' AND toId = ?")
+    const seen = new Set()
+    let cursor = fromId
+    while (cursor && !seen.has(cursor)) {
+      if (cursor === toId) return true
+      seen.add(cursor)
+      cursor = parentOf.get(cursor)?.fromId
+    }
+    return false
+  }
+  if (type === 'blocks' || type === 'depends-on') {
+    // Normalize both types to "blocker -> blocked" edges and look for a path back.
+    const edges = db
+      .prepare("SELECT type, fromId, toId FROM request_relations WHERE type IN ('blocks', 'depends-on')")
+      .all()
+      .map((e) => (e.type === 'blocks' ? [e.fromId, e.toId] : [e.toId, e.fromId]))
+    const [blocker, blocked] = type === 'blocks' ? [fromId, toId] : [toId, fromId]
+    const next = new Map()
+    for (const [a, b] of edges) next.set(a, [...(next.get(a) ?? []), b])
+    const stack = [blocked]
+    const seen = new Set()
+    while (stack.length) {
+      const node = stack.pop()
+      if (node === blocker) return true
+      if (seen.has(node)) continue
+      seen.add(node)
+      stack.push(...(next.get(node) ?? []))
+    }
+  }
+  return false
+}
+
+app.post('/api/requests/:id/relations', requestSpaceAuth, (req, res) => {
+  const user = req.user
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(req.params.id)
+  if (!row) return res.status(404).json({ message: 'not found' })
+  const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+
+  const type = String(req.body?.type || '')
+  const targetId = String(req.body?.targetId || '').trim()
+  if (!RELATION_TYPES.includes(type)) return res.status(400).json({ message: 'invalid type' })
+  if (!targetId) return res.status(400).json({ message: 'targetId required' })
+
+  if (type === 'duplicate-of') {
+    const result = markRequestDuplicate(user, current, { duplicateOfId: targetId, note: req.body?.note })
+    if (!result.ok) return res.status(result.status).json({ message: result.message })
+    return res.json({ ok: true })
+  }
+
+  if (!canEditRequest(user, current) || current.status === DRAFT_STATUS) return res.status(403).json({ message: 'forbidden' })
+  const targetRow = db.prepare('SELECT * FROM requests WHERE id = ?').get(targetId)
+  const target = targetRow && rowToRequest({ ...targetRow, requesterName: '', reviewerName: '' })
+  // Requests the caller cannot open are answered like missing ones, so ids cannot be probed.
+  if (
+    !target ||
+    target.status === DRAFT_STATUS ||
+    target.spaceId !== current.spaceId ||
+    target.deletedAt ||
+    !canViewRequest(user, target, visibilityScope(user, req.space))
+  ) {
+    return res.status(400).json({ message: 'invalid targetId' })
+  }
+  if (target.id === current.id) return res.status(400).json({ message: 'cannot relate request to itself' })
+
+  const exists = db
+    .prepare(
+      `
+      SELECT 1 FROM request_relations
+      WHERE (fromId = @fromId AND toId = @toId AND type = @type)
+         OR (@type = 'related-to' AND fromId = @toId AND toId = @fromId AND type = @type)
+    `,
+    )
+    .get({ fromId: current.id, toId: target.id, type })
+  if (exists) return res.status(400).json({ message: 'relation exists' })
+  if (type === 'parent-of' && db.prepare("SELECT 1 FROM request_relations WHERE type = 'parent-of' AND toId = ?").get(target.id)) {
+    return res.status(400).json({ message: 'target already has a parent' })
+  }
+  if (wouldCreateCycle(type, current.id, target.id)) return res.status(400).json({ message: 'relation would create a cycle' })
+
+  const relation = { id: nanoid(), fromId: current.id, toId: target.id, type, createdBy: user.id, createdAt: nowIso() }
+  db.transaction(() => {
+    db.prepare(
+      'INSERT INTO request_relations (id, fromId, toId, type, createdBy, createdAt) VALUES (@id, @fromId, @toId, @type, @createdBy, @createdAt)',
+    ).run(relation)
+    db.prepare('UPDATE requests SET updatedAt = ? WHERE id IN (?, ?)').run(relation.createdAt, relation.fromId, relation.toId)
+    auditRelation(user.id, relation, '添加')
+  })()
+  return res.json({ ok: true, id: relation.id })
+})
+
+app.delete('/api/requests/:id/relations/:relationId', requestSpaceAuth, (req, res) => {
+  const user = req.user
+  const id = req.params.id
+  const relation = db
+    .prepare('SELECT * FROM request_relations WHERE id = ? AND (fromId = ? OR toId = ?)')
+    .get(req.params.relationId, id, id)
+  if (!relation) return res.status(404).json({ message: 'not found' })
+
+  const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
+  const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+  const allowed = relation.type === 'duplicate-of' ? isReviewerLike(user.role) : canEditRequest(user, current)
   if (!allowed) return res.status(403).json({ message: 'forbidden' })
 
   const t = nowIso()
-  db.prepare('UPDATE requests SET status=?, updatedAt=? WHERE id=?').run('Submitted', t, id)
-  addAudit({ requestId: id, actorId: user.id, actionType: 'status_change', fromValue: { status: current.status }, toValue: { status: 'Submitted' }, note })
+  db.transaction(() => {
+    db.prepare('DELETE FROM request_relations WHERE id = ?').run(relation.id)
+    // The duplicate stays closed; it simply no longer points at the canonical request.
+    if (relation.type === 'duplicate-of') {
+      db.prepare('UPDATE requests SET duplicateOfId = NULL WHERE id = ? AND duplicateOfId = ?').run(relation.fromId, relation.toId)
+    }
+    db.prepare('UPDATE requests SET updatedAt = ? WHERE id IN (?, ?)').run(t, relation.fromId, relation.toId)
+    auditRelation(user.id, relation, '移除')
+  })()
   return res.json({ ok: true })
 })
 
-app.post('/api/requests/:id/attachments', authMiddleware, upload.single('file'), (req, res) => {
+app.post('/api/requests/:id/attachments', requestSpaceAuth, upload.single('file'), (req, res) => {
   const user = req.user
   const id = req.params.id
   const row = db.prepare('SELECT * FROM requests WHERE id = ?').get(id)
   if (!row) return res.status(404).json({ message: 'not found' })
   const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
-  if (!canViewRequest(user, current)) return res.status(403).json({ message: 'forbidden' })
+  if (!canViewRequest(user, current, visibilityScope(user, req.space))) return res.status(403).json({ message: 'forbidden' })
 
   const file = req.file
   if (!file) return res.status(400).json({ message: 'file required' })
@@ -1613,15 +4416,40 @@ app.post('/api/requests/:id/attachments', authMiddleware, upload.single('file'),
     sizeBytes: att.sizeBytes,
     createdAt: att.createdAt,
   }
+  emitRequestEvent('attachment', id, user.id, {
+    attachment: { id: att.id, filename: att.filename, mimeType: att.mimeType, sizeBytes: att.sizeBytes },
+  })
+  if (current.status !== DRAFT_STATUS) {
+    notifyRequestParticipants(current, {
+      actorId: user.id,
+      type: 'attachment',
+      title: `${user.name || user.username} 为需求「${current.title}」上传了附件`,
+      content: att.filename,
+    })
+  }
   return res.json(result)
 })
 
-app.get('/api/attachments/:id/download', authMiddleware, (req, res) => {
+const attachmentSpaceAuth = [
+  authMiddleware,
+  spaceScope(
+    (req) =>
+      db.prepare('SELECT r.spaceId FROM attachments a JOIN requests r ON r.id = a.requestId WHERE a.id = ?').get(req.params.id)
+        ?.spaceId,
+  ),
+  rejectTrashed(
+    (req) =>
+      db.prepare('SELECT r.deletedAt FROM attachments a JOIN requests r ON r.id = a.requestId WHERE a.id = ?').get(req.params.id)
+        ?.deletedAt,
+  ),
+]
+
+app.get('/api/attachments/:id/download', attachmentSpaceAuth, (req, res) => {
   const attId = req.params.id
   const row = db
     .prepare(
       `
-      SELECT a.*, r.requesterId, r.reviewerId, r.status
+      SELECT a.*, r.requesterId, r.reviewerId, r.implementerId, r.status, r.domain, r.isConfidential
       FROM attachments a
       JOIN requests r ON r.id = a.requestId
       WHERE a.id = ?
@@ -1631,7 +4459,7 @@ app.get('/api/attachments/:id/download', authMiddleware, (req, res) => {
   if (!row) return res.status(404).json({ message: 'not found' })
   const attachment = rowToAttachment(row)
   const request = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
-  if (!canViewRequest(req.user, request)) return res.status(403).json({ message: 'forbidden' })
+  if (!canViewRequest(req.user, request, visibilityScope(req.user, req.space))) return res.status(403).json({ message: 'forbidden' })
   if (!fs.existsSync(attachment.storedPath)) return res.status(410).json({ message: 'file missing' })
 
   res.setHeader('Content-Type', attachment.mimeType || 'application/octet-stream')
@@ -1660,6 +4488,106 @@ if (fs.existsSync(distDir)) {
   })
 }
 
+function reopenDueSuspendedRequests() {
+  const workflow = getWorkflow()
+  const rows = db
+    .prepare(
+      `
+      SELECT * FROM requests
+      WHERE status IN (SELECT value FROM json_each(?)) AND deletedAt IS NULL
+        AND suspendUntil IS NOT NULL AND TRIM(suspendUntil) <> '' AND substr(suspendUntil, 1, 10) <= ?
+      ORDER BY suspendUntil ASC
+    `,
+    )
+    .all(JSON.stringify(statesEnteredWith(workflow, 'suspendUntil')), formatDateKey())
+  let reopened = 0
+  for (const row of rows) {
+    const current = rowToRequest({ ...row, requesterName: '', reviewerName: '' })
+    const result = transitionRequest(systemUser, current, { toStatus: workflow.initialState, reason: '复审时间到期' })
+    if (result.ok) reopened += 1
+    else {
+      // eslint-disable-next-line no-console
+      console.warn(`[scheduler] cannot reopen ${current.id}: ${result.message}`)
+    }
+  }
+  return reopened
+}
+
+function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  const rows = db.prepare('SELECT * FROM requests WHERE deletedAt IS NOT NULL AND deletedAt <= ?').all(cutoff)
+  for (const row of rows) purgeRequest(row, systemUser.id, `回收站保留期满（${TRASH_RETENTION_DAYS} 天）自动清除`)
+  return rows.length
+}
+
+// Finished requests untouched for ARCHIVE_AFTER_DAYS are archived automatically; 0 turns this off.
+function archiveStaleRequests() {
+  const days = Number(process.env.ARCHIVE_AFTER_DAYS) || 0
+  if (days <= 0) return 0
+  const finalStates = getWorkflow()
+    .states.filter((s) => s.final)
+    .map((s) => s.key)
+  if (!finalStates.length) return 0
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+  const rows = db
+    .prepare(
+      `
+      SELECT id FROM requests
+      WHERE archivedAt IS NULL AND deletedAt IS NULL AND updatedAt <= ?
+        AND status IN (${finalStates.map(() => '?').join(', ')})
+    `,
+    )
+    .all(cutoff, ...finalStates)
+  const t = nowIso()
+  for (const row of rows) {
+    db.transaction(() => {
+      db.prepare('UPDATE requests SET archivedAt = ? WHERE id = ?').run(t, row.id)
+      addAudit({
+        requestId: row.id,
+        actorId: systemUser.id,
+        actionType: 'archive',
+        fromValue: { archived: false },
+        toValue: { archived: true },
+        note: `完成超过 ${days} 天自动归档`,
+      })
+    })()
+  }
+  return rows.length
+}
+
+function startSuspendScheduler() {
+  const intervalMs = Math.max(60 * 1000, Number(process.env.SUSPEND_CHECK_INTERVAL_MS) || 60 * 60 * 1000)
+  const run = () => {
+    try {
+      const reopened = reopenDueSuspendedRequests()
+      if (reopened) {
+        // eslint-disable-next-line no-console
+        console.log(`[scheduler] reopened ${reopened} suspended request(s)`)
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[scheduler] suspended review check failed', e)
+    }
+    try {
+      const purged = purgeExpiredTrash()
+      const archived = archiveStaleRequests()
+      if (purged || archived) {
+        // eslint-disable-next-line no-console
+        console.log(`[scheduler] purged ${purged} trashed and archived ${archived} finished request(s)`)
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[scheduler] trash/archive maintenance failed', e)
+    }
+  }
+  run()
+  setInterval(run, intervalMs).unref()
+}
+
+startSuspendScheduler()
+startWebhookWorker(db)
+startEmailWorker(db)
+
 const port = Number(process.env.PORT || 3000)
 app.listen(port, () => {
   // eslint-disable-next-line no-console
@@ -2,13 +2,27 @@ export function isReviewerLike(role) {
   return role === 'reviewer' || role === 'admin'
 }
 
-export function canViewRequest(user, req) {
-  void user
-  void req
+// Drafts live outside the configurable workflow and are private to their author.
+export const DRAFT_STATUS = 'Draft'
+
+// Who can read non-draft requests in a space besides reviewers, admins and the request's own
+// requester/implementer: everyone, nobody else, requesters of the same domain, or everyone unless
+// the request is flagged confidential.
+export const VISIBILITY_POLICIES = ['all', 'own', 'own_domain', 'confidential']
+
+// `scope.domains` lists the domains of the viewer's own requests (only used by `own_domain`).
+export function canViewRequest(user, req, scope = { visibility: 'all', domains: [] }) {
+  if (req.status === DRAFT_STATUS) return req.requesterId === user.id
+  if (isReviewerLike(user.role)) return true
+  if (req.requesterId === user.id || req.implementerId === user.id) return true
+  if (scope.visibility === 'own') return false
+  if (scope.visibility === 'own_domain') return !!req.domain && scope.domains.includes(req.domain)
+  if (scope.visibility === 'confidential') return !req.confidential
   return true
 }
 
 export function canEditRequest(user, req) {
+  if (req.status === DRAFT_STATUS) return req.requesterId === user.id
   if (isReviewerLike(user.role)) return true
   const editable = req.status === 'Submitted' || req.status === 'NeedInfo'
   return req.requesterId === user.id && editable
@@ -18,14 +32,188 @@ export function canReview(user) {
   return isReviewerLike(user.role)
 }
 
-export function isTransitionAllowed(from, to) {
-  const allowed = {
-    Submitted: ['NeedInfo', 'Accepted', 'Suspended', 'Rejected'],
-    NeedInfo: ['Accepted', 'Suspended', 'Rejected'],
-    Accepted: ['Closed'],
-    Suspended: ['Accepted', 'Rejected'],
-    Rejected: [],
-    Closed: [],
+const REVIEWERS = ['reviewer', 'admin']
+
+export const WORKFLOW_ROLES = ['requester', 'reviewer', 'admin', 'owner']
+export const WORKFLOW_FIELDS = ['reason', 'implementerId', 'suspendUntil', 'suspendCondition', 'suspendUntil|suspendCondition']
+export const WORKFLOW_TAG_TYPES = ['', 'success', 'warning', 'info', 'danger']
+
+export const DEFAULT_WORKFLOW = {
+  initialState: 'Submitted',
+  states: [
+    { key: 'Submitted', label: '待评审', tagType: 'warning' },
+    { key: 'NeedInfo', label: '待补充', tagType: 'info' },
+    { key: 'Accepted', label: '已接纳', tagType: 'success' },
+    { key: 'Suspended', label: '已挂起', tagType: 'warning' },
+    { key: 'Rejected', label: '已拒绝', tagType: 'danger', final: true },
+    { key: 'Closed', label: '已关闭', tagType: '', final: true },
+  ],
+  transitions: [
+    { from: 'Submitted', to: 'Accepted', label: '接纳', roles: REVIEWERS, requires: ['reason', 'implementerId'] },
+    { from: 'Submitted', to: 'Suspended', label: '挂起', roles: REVIEWERS, requires: ['reason', 'suspendUntil|suspendCondition'], confirm: true },
+    { from: 'Submitted', to: 'Rejected', label: '拒绝', roles: REVIEWERS, requires: ['reason'], confirm: true },
+    { from: 'Submitted', to: 'NeedInfo', label: '待补充', roles: REVIEWERS, requires: ['reason'] },
+    { from: 'NeedInfo', to: 'Accepted', label: '接纳', roles: REVIEWERS, requires: ['reason', 'implementerId'] },
+    { from: 'NeedInfo', to: 'Suspended', label: '挂起', roles: REVIEWERS, requires: ['reason', 'suspendUntil|suspendCondition'], confirm: true },
+    { from: 'NeedInfo', to: 'Rejected', label: '拒绝', roles: REVIEWERS, requires: ['reason'], confirm: true },
+    { from: 'NeedInfo', to: 'Submitted', label: '补充后重新提交', roles: ['owner'], requires: [] },
+    { from: 'Accepted', to: 'Closed', label: '关闭', roles: REVIEWERS, requires: ['reason'] },
+    { from: 'Suspended', to: 'Accepted', label: '接纳', roles: REVIEWERS, requires: ['reason', 'implementerId'] },
+    { from: 'Suspended', to: 'Rejected', label: '拒绝', roles: REVIEWERS, requires: ['reason'], confirm: true },
+    { from: 'Suspended', to: 'Submitted', label: '重新进入评审', roles: REVIEWERS, requires: [] },
+    { from: 'Rejected', to: 'Submitted', label: '重新进入评审', roles: REVIEWERS, requires: [] },
+  ],
+}
+
+export const RELATION_TYPES = ['duplicate-of', 'blocks', 'depends-on', 'parent-of', 'related-to']
+
+// Moving into this state is refused while a blocking request is still open.
+export const BLOCKED_CLOSE_STATUS = 'Closed'
+
+export function findTransition(workflow, from, to) {
+  return workflow.transitions.find((t) => t.from === from && t.to === to) ?? null
+}
+
+export function isTransitionAllowed(workflow, from, to) {
+  return !!findTransition(workflow, from, to)
+}
+
+// `owner` is a pseudo-role matching the requester of the request being transitioned.
+export function canPerformTransition(transition, user, req) {
+  if (!transition) return false
+  if (transition.roles.includes(user.role)) return true
+  return transition.roles.includes('owner') && req.requesterId === user.id
+}
+
+// A `a|b` entry means at least one of the listed fields must be filled in.
+export function missingTransitionFields(transition, payload) {
+  return transition.requires.filter((entry) =>
+    entry.split('|').every((field) => !String(payload[field] ?? '').trim()),
+  )
+}
+
+export function transitionUsesField(transition, field) {
+  return transition.requires.some((entry) => entry.split('|').includes(field))
+}
+
+// The reviewer queues and the suspended-review job find their states through the workflow rather
+// than by key, so they follow an admin's renames: states entered with a review date are suspended,
+// states entered with an implementer are accepted.
+export function statesEnteredWith(workflow, field) {
+  return [...new Set(workflow.transitions.filter((t) => transitionUsesField(t, field)).map((t) => t.to))]
+}
+
+// States waiting on the requester: the request's owner can move it on from there (NeedInfo by default).
+export function statesAwaitingRequester(workflow) {
+  const finalStates = new Set(workflow.states.filter((s) => s.final).map((s) => s.key))
+  const states = workflow.transitions
+    .filter((t) => t.roles.includes('owner') && t.from !== workflow.initialState && !finalStates.has(t.from))
+    .map((t) => t.from)
+  return [...new Set(states)]
+}
+
+export function validateWorkflow(input) {
+  if (!input || typeof input !== 'object') return { error: 'invalid workflow' }
+  const states = Array.isArray(input.states) ? input.states : []
+  const transitions = Array.isArray(input.transitions) ? input.transitions : []
+  if (!states.length) return { error: 'states required' }
+
+  const keys = new Set()
+  const normalizedStates = []
+  for (const raw of states) {
+    const key = String(raw?.key ?? '').trim()
+    const label = String(raw?.label ?? '').trim()
+    const tagType = String(raw?.tagType ?? '')
+    if (!/^[A-Za-z][A-Za-z0-9_]{0,31}$/.test(key)) return { error: `invalid state key: ${key}` }
+    if (key === DRAFT_STATUS) return { error: `reserved state key: ${key}` }
+    if (keys.has(key)) return { error: `duplicate state: ${key}` }
+    if (!label) return { error: `state label required: ${key}` }
+    if (!WORKFLOW_TAG_TYPES.includes(tagType)) return { error: `invalid tagType: ${tagType}` }
+    keys.add(key)
+    normalizedStates.push({ key, label, tagType, ...(raw.final ? { final: true } : {}) })
+  }
+
+  const initialState = String(input.initialState ?? '').trim()
+  if (!keys.has(initialState)) return { error: 'invalid initialState' }
+
+  const pairs = new Set()
+  const normalizedTransitions = []
+  for (const raw of transitions) {
+    const from = String(raw?.from ?? '')
+    const to = String(raw?.to ?? '')
+    const label = String(raw?.label ?? '').trim()
+    const roles = Array.isArray(raw?.roles) ? [...new Set(raw.roles.map(String))] : []
+    const requires = Array.isArray(raw?.requires) ? [...new Set(raw.requires.map(String))] : []
+    if (!keys.has(from) || !keys.has(to)) return { error: `unknown state in transition ${from} -> ${to}` }
+    if (from === to) return { error: `transition to same state: ${from}` }
+    if (pairs.has(`${from}>${to}`)) return { error: `duplicate transition ${from} -> ${to}` }
+    if (!label) return { error: `transition label required: ${from} -> ${to}` }
+    if (!roles.length || roles.some((r) => !WORKFLOW_ROLES.includes(r))) {
+      return { error: `invalid roles in transition ${from} -> ${to}` }
+    }
+    if (requires.some((f) => !WORKFLOW_FIELDS.includes(f))) return { error: `invalid requires in transition ${from} -> ${to}` }
+    pairs.add(`${from}>${to}`)
+    normalizedTransitions.push({ from, to, label, roles, requires, ...(raw.confirm ? { confirm: true } : {}) })
+  }
+
+  return { workflow: { initialState, states: normalizedStates, transitions: normalizedTransitions } }
+}
+
+// SLA targets: how long a request may stay in a status, per priority. `*` applies to requests whose
+// priority has no target of its own (including requests without a priority).
+export const SLA_PRIORITIES = ['P0', 'P1', 'P2', 'P3', '*']
+// Share of the target after which a request is flagged as about to breach.
+export const SLA_WARNING_RATIO = 0.8
+
+export const DEFAULT_SLA_TARGETS = [
+  { status: 'Submitted', priority: 'P0', hours: 24 },
+  { status: 'Submitted', priority: 'P1', hours: 72 },
+  { status: 'Submitted', priority: 'P2', hours: 120 },
+  { status: 'Submitted', priority: '*', hours: 240 },
+  { status: 'NeedInfo', priority: '*', hours: 168 },
+]
+
+export function validateSlaTargets(input, workflow) {
+  if (!Array.isArray(input)) return { error: 'invalid targets' }
+  const openStates = new Set(workflow.states.filter((s) => !s.final).map((s) => s.key))
+  const seen = new Set()
+  const targets = []
+  for (const raw of input) {
+    const status = String(raw?.status ?? '')
+    const priority = String(raw?.priority ?? '')
+    const hours = Math.round(Number(raw?.hours) * 100) / 100
+    if (!openStates.has(status)) return { error: `invalid status: ${status}` }
+    if (!SLA_PRIORITIES.includes(priority)) return { error: `invalid priority: ${priority}` }
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 365) return { error: `invalid hours for ${status}/${priority}` }
+    if (seen.has(`${status}/${priority}`)) return { error: `duplicate target ${status}/${priority}` }
+    seen.add(`${status}/${priority}`)
+    targets.push({ status, priority, hours })
+  }
+  return { targets }
+}
+
+export function findSlaTarget(targets, status, priority) {
+  return (
+    targets.find((t) => t.status === status && t.priority === priority) ??
+    targets.find((t) => t.status === status && t.priority === '*') ??
+    null
+  )
+}
+
+// `since` is when the request entered its current status; returns null when no target applies.
+export function evaluateSla(targets, { status, priority, since }, now = Date.now()) {
+  const target = findSlaTarget(targets, status, priority)
+  if (!target || !since) return null
+  const sinceMs = new Date(since).getTime()
+  const elapsedHours = Math.max(0, (now - sinceMs) / 3600000)
+  let state = 'ok'
+  if (elapsedHours > target.hours) state = 'breached'
+  else if (elapsedHours >= target.hours * SLA_WARNING_RATIO) state = 'warning'
+  return {
+    targetHours: target.hours,
+    since,
+    dueAt: new Date(sinceMs + target.hours * 3600000).toISOString(),
+    elapsedHours: Math.round(elapsedHours * 10) / 10,
+    state,
   }
-  return (allowed[from] || []).includes(to)
 }
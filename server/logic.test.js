@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { DEFAULT_WORKFLOW, statesAwaitingRequester, statesEnteredWith } from './logic.js'
+
+function renamed(workflow, names) {
+  const rename = (key) => names[key] ?? key
+  return {
+    initialState: rename(workflow.initialState),
+    states: workflow.states.map((s) => ({ ...s, key: rename(s.key) })),
+    transitions: workflow.transitions.map((t) => ({ ...t, from: rename(t.from), to: rename(t.to) })),
+  }
+}
+
+test('finds the default suspended, accepted and need-info states', () => {
+  assert.deepEqual(statesEnteredWith(DEFAULT_WORKFLOW, 'suspendUntil'), ['Suspended'])
+  assert.deepEqual(statesEnteredWith(DEFAULT_WORKFLOW, 'implementerId'), ['Accepted'])
+  assert.deepEqual(statesAwaitingRequester(DEFAULT_WORKFLOW), ['NeedInfo'])
+})
+
+test('follows renamed states', () => {
+  const workflow = renamed(DEFAULT_WORKFLOW, { Suspended: 'OnHold', Accepted: 'InProgress', NeedInfo: 'Waiting' })
+  assert.deepEqual(statesEnteredWith(workflow, 'suspendUntil'), ['OnHold'])
+  assert.deepEqual(statesEnteredWith(workflow, 'implementerId'), ['InProgress'])
+  assert.deepEqual(statesAwaitingRequester(workflow), ['Waiting'])
+})
+
+test('finds nothing once the states are removed', () => {
+  const workflow = {
+    ...DEFAULT_WORKFLOW,
+    transitions: DEFAULT_WORKFLOW.transitions.filter((t) => !['Suspended', 'NeedInfo'].includes(t.to) && t.from !== 'NeedInfo'),
+  }
+  assert.deepEqual(statesEnteredWith(workflow, 'suspendUntil'), [])
+  assert.deepEqual(statesAwaitingRequester(workflow), [])
+})
@@ -0,0 +1,168 @@
+import nodemailer from 'nodemailer'
+import { nanoid } from 'nanoid'
+
+import { renderDigestEmail } from './emailTemplates.js'
+
+// Delay before attempt N+1; a mail is marked failed once these are used up.
+export const RETRY_DELAYS_MS = [60_000, 5 * 60_000, 30 * 60_000, 2 * 60 * 60_000, 12 * 60 * 60_000]
+export const EMAIL_MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1
+
+const SEND_TIMEOUT_MS = 15_000
+const BATCH_SIZE = 20
+
+export function isValidEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value ?? '')) && String(value).length <= 254
+}
+
+// Mail is only queued when an SMTP server is configured; otherwise email preferences are inert.
+export function isEmailEnabled() {
+  return Boolean(process.env.SMTP_HOST)
+}
+
+let transport = null
+
+function getTransport() {
+  if (!transport) {
+    const port = Number(process.env.SMTP_PORT) || 587
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined,
+      connectionTimeout: SEND_TIMEOUT_MS,
+      greetingTimeout: SEND_TIMEOUT_MS,
+      socketTimeout: SEND_TIMEOUT_MS,
+    })
+  }
+  return transport
+}
+
+export function enqueueEmail(db, { userId = null, to, kind, requestId = null, subject, text, html }) {
+  const id = nanoid()
+  const t = new Date().toISOString()
+  db.prepare(
+    `
+    INSERT INTO email_outbox
+    (id, userId, toAddress, kind, requestId, subject, textBody, htmlBody, status, attempts, nextAttemptAt, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+  `,
+  ).run(id, userId, to, kind, requestId, subject, text, html, t, t, t)
+  return id
+}
+
+async function send(db, mail) {
+  const attempts = mail.attempts + 1
+  let error = null
+  try {
+    await getTransport().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER || 'urm@localhost',
+      to: mail.toAddress,
+      subject: mail.subject,
+      text: mail.textBody,
+      html: mail.htmlBody,
+      headers: { 'X-URM-Mail-Id': mail.id },
+    })
+  } catch (e) {
+    error = String(e?.message || e).slice(0, 500)
+  }
+
+  const now = new Date()
+  let status = 'sent'
+  let nextAttemptAt = null
+  if (error) {
+    const delay = RETRY_DELAYS_MS[attempts - 1]
+    status = delay === undefined ? 'failed' : 'pending'
+    nextAttemptAt = delay === undefined ? null : new Date(now.getTime() + delay).toISOString()
+  }
+  db.prepare(
+    'UPDATE email_outbox SET status = ?, attempts = ?, nextAttemptAt = ?, lastError = ?, sentAt = ?, updatedAt = ? WHERE id = ?',
+  ).run(status, attempts, nextAttemptAt, error, error ? null : now.toISOString(), now.toISOString(), mail.id)
+}
+
+let processing = null
+
+async function drainOutbox(db) {
+  for (;;) {
+    const due = db
+      .prepare("SELECT * FROM email_outbox WHERE status = 'pending' AND nextAttemptAt <= ? ORDER BY createdAt ASC LIMIT ?")
+      .all(new Date().toISOString(), BATCH_SIZE)
+    for (const mail of due) await send(db, mail)
+    if (due.length < BATCH_SIZE) return
+  }
+}
+
+// Sends due mails in creation order; concurrent calls share the running pass.
+export function processEmailOutbox(db) {
+  if (!isEmailEnabled()) return Promise.resolve()
+  if (!processing) {
+    processing = drainOutbox(db).finally(() => {
+      processing = null
+    })
+  }
+  return processing
+}
+
+function digestHour() {
+  const hour = Number(process.env.EMAIL_DIGEST_HOUR)
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 9
+}
+
+// Once the digest hour (server local time) has passed, everything held before it goes out as one
+// mail per user; later items wait for tomorrow's run, so repeated calls within the day are no-ops.
+export function enqueueDailyDigests(db, now = new Date()) {
+  const cutoff = new Date(now)
+  cutoff.setHours(digestHour(), 0, 0, 0)
+  if (now < cutoff) return 0
+  const cutoffIso = cutoff.toISOString()
+  const rows = db
+    .prepare(
+      `
+      SELECT i.*, u.username, u.name, u.email
+      FROM email_digest_items i
+      JOIN users u ON u.id = i.userId
+      WHERE i.createdAt < ?
+      ORDER BY i.userId ASC, i.createdAt ASC
+    `,
+    )
+    .all(cutoffIso)
+  if (!rows.length) return 0
+  const byUser = new Map()
+  for (const row of rows) {
+    if (!byUser.has(row.userId)) byUser.set(row.userId, [])
+    byUser.get(row.userId).push(row)
+  }
+  let queued = 0
+  db.transaction(() => {
+    for (const [userId, items] of byUser) {
+      const user = items[0]
+      // Users who removed their address since still get their items cleared.
+      if (isValidEmail(user.email)) {
+        enqueueEmail(db, { userId, to: user.email, kind: 'digest', ...renderDigestEmail({ user, items, date: now }) })
+        queued += 1
+      }
+      db.prepare('DELETE FROM email_digest_items WHERE userId = ? AND createdAt < ?').run(userId, cutoffIso)
+    }
+  })()
+  return queued
+}
+
+export function startEmailWorker(db) {
+  const intervalMs = Math.max(1000, Number(process.env.EMAIL_POLL_INTERVAL_MS) || 30_000)
+  const run = () => {
+    if (!isEmailEnabled()) return Promise.resolve()
+    try {
+      enqueueDailyDigests(db)
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('email digest failed', e)
+    }
+    return processEmailOutbox(db).catch((e) => {
+      // eslint-disable-next-line no-console
+      console.error('email delivery failed', e)
+    })
+  }
+  run()
+  const timer = setInterval(run, intervalMs)
+  timer.unref?.()
+  return run
+}
@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict'
+import net from 'node:net'
+import { after, before, beforeEach, test } from 'node:test'
+import Database from 'better-sqlite3'
+
+import { migrate } from './db.js'
+import { EMAIL_MAX_ATTEMPTS, RETRY_DELAYS_MS, enqueueDailyDigests, enqueueEmail, processEmailOutbox } from './mailer.js'
+
+// SMTP stand-in: accepts every message unless `failNext` is set, in which case DATA is refused with a 451.
+const smtp = { failNext: 0, received: [] }
+let server
+let db
+
+before(async () => {
+  server = net.createServer((socket) => {
+    let buffer = ''
+    let message = null
+    const reply = (line) => socket.write(`${line}\r\n`)
+    reply('220 stand-in ESMTP')
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8')
+      let end
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end)
+        buffer = buffer.slice(end + 2)
+        if (message !== null) {
+          if (line === '.') {
+            smtp.received.push(message)
+            message = null
+            reply('250 queued')
+          } else {
+            message += `${line}\n`
+          }
+          continue
+        }
+        const command = line.slice(0, 4).toUpperCase()
+        if (command === 'EHLO' || command === 'HELO') reply('250 stand-in')
+        else if (command === 'DATA') {
+          if (smtp.failNext > 0) {
+            smtp.failNext -= 1
+            reply('451 try again later')
+          } else {
+            message = ''
+            reply('354 go ahead')
+          }
+        } else if (command === 'QUIT') {
+          reply('221 bye')
+          socket.end()
+        } else reply('250 OK')
+      }
+    })
+    socket.on('error', () => {})
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  // The transport is built on the first send, so the stand-in must be configured before any test sends.
+  process.env.SMTP_HOST = '127.0.0.1'
+  process.env.SMTP_PORT = String(server.address().port)
+  process.env.EMAIL_DIGEST_HOUR = '9'
+})
+
+after(() => new Promise((resolve) => server.close(resolve)))
+
+beforeEach(() => {
+  smtp.failNext = 0
+  smtp.received = []
+  db = new Database(':memory:')
+  migrate(db)
+})
+
+function addUser(id, email) {
+  db.prepare(
+    "INSERT INTO users (id, username, name, role, passwordHash, createdAt, email) VALUES (?, ?, ?, 'requester', '-', ?, ?)",
+  ).run(id, id, id, new Date(0).toISOString(), email)
+}
+
+function addDigestItem(userId, createdAt) {
+  db.prepare(
+    "INSERT INTO email_digest_items (id, userId, requestId, type, title, createdAt) VALUES (?, ?, 'r1', 'comment', 'hello', ?)",
+  ).run(`${userId}-${createdAt.getTime()}`, userId, createdAt.toISOString())
+}
+
+function outbox() {
+  return db.prepare('SELECT * FROM email_outbox ORDER BY createdAt ASC').all()
+}
+
+// Local time on a fixed day, matching how the digest hour is interpreted.
+function at(hour, minute = 0) {
+  return new Date(2026, 0, 15, hour, minute)
+}
+
+test('sends pending mail and marks it sent', async () => {
+  const id = enqueueEmail(db, { to: 'a@example.com', kind: 'test', subject: 'hi', text: 'hello', html: '<p>hello</p>' })
+  await processEmailOutbox(db)
+
+  const [mail] = outbox()
+  assert.equal(mail.status, 'sent')
+  assert.equal(mail.attempts, 1)
+  assert.equal(mail.lastError, null)
+  assert.ok(mail.sentAt)
+  assert.equal(smtp.received.length, 1)
+  assert.match(smtp.received[0], new RegExp(`^X-URM-Mail-Id: ${id}$`, 'im'))
+})
+
+test('reschedules refused mail by RETRY_DELAYS_MS and fails after EMAIL_MAX_ATTEMPTS', async () => {
+  smtp.failNext = Infinity
+  enqueueEmail(db, { to: 'a@example.com', kind: 'test', subject: 'hi', text: 'hello', html: '<p>hello</p>' })
+
+  for (let attempt = 1; attempt < EMAIL_MAX_ATTEMPTS; attempt++) {
+    const startedAt = Date.now()
+    await processEmailOutbox(db)
+    const [mail] = outbox()
+    assert.equal(mail.status, 'pending')
+    assert.equal(mail.attempts, attempt)
+    assert.match(mail.lastError, /451/)
+    const delay = Date.parse(mail.nextAttemptAt) - startedAt
+    assert.ok(delay >= RETRY_DELAYS_MS[attempt - 1] && delay < RETRY_DELAYS_MS[attempt - 1] + 5000, `attempt ${attempt} delay ${delay}`)
+
+    // Not yet due: another pass must leave it alone.
+    await processEmailOutbox(db)
+    assert.equal(outbox()[0].attempts, attempt)
+
+    db.prepare('UPDATE email_outbox SET nextAttemptAt = ?').run(new Date(0).toISOString())
+  }
+
+  await processEmailOutbox(db)
+  const [mail] = outbox()
+  assert.equal(mail.status, 'failed')
+  assert.equal(mail.attempts, EMAIL_MAX_ATTEMPTS)
+  assert.equal(mail.nextAttemptAt, null)
+  assert.equal(smtp.received.length, 0)
+})
+
+test('a mail that fails once is sent on the retry', async () => {
+  smtp.failNext = 1
+  enqueueEmail(db, { to: 'a@example.com', kind: 'test', subject: 'hi', text: 'hello', html: '<p>hello</p>' })
+  await processEmailOutbox(db)
+  assert.equal(outbox()[0].status, 'pending')
+
+  db.prepare('UPDATE email_outbox SET nextAttemptAt = ?').run(new Date(0).toISOString())
+  await processEmailOutbox(db)
+  const [mail] = outbox()
+  assert.equal(mail.status, 'sent')
+  assert.equal(mail.attempts, 2)
+  assert.equal(smtp.received.length, 1)
+})
+
+test('daily digest sends items held before the cutoff once per user per day', () => {
+  addUser('alice', 'alice@example.com')
+  addUser('bob', 'bob@example.com')
+  addUser('carol', null)
+  addDigestItem('alice', at(7))
+  addDigestItem('alice', at(8, 30))
+  addDigestItem('bob', at(8))
+  addDigestItem('carol', at(8))
+  addDigestItem('alice', at(9, 30))
+
+  assert.equal(enqueueDailyDigests(db, at(8, 59)), 0)
+  assert.equal(outbox().length, 0)
+
+  assert.equal(enqueueDailyDigests(db, at(10)), 2)
+  const mails = outbox()
+  assert.deepEqual(mails.map((m) => m.toAddress).sort(), ['alice@example.com', 'bob@example.com'])
+  assert.ok(mails.every((m) => m.kind === 'digest' && m.status === 'pending'))
+  assert.match(mails.find((m) => m.toAddress === 'alice@example.com').subject, /共 2 条/)
+
+  // Only the item after the cutoff waits for tomorrow; carol's are cleared even without an address.
+  const left = db.prepare('SELECT userId, createdAt FROM email_digest_items').all()
+  assert.deepEqual(left, [{ userId: 'alice', createdAt: at(9, 30).toISOString() }])
+
+  assert.equal(enqueueDailyDigests(db, at(18)), 0)
+  assert.equal(outbox().length, 2)
+})
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+
+import { startTestServer } from './testServer.js'
+
+let server
+
+before(async () => {
+  server = await startTestServer()
+  await server.createUser('dev_ops', 'reviewer')
+  await server.createUser('devxops', 'reviewer')
+  await server.createUser('dev%lead', 'reviewer')
+})
+
+after(() => server?.stop())
+
+test('mentionable search treats LIKE wildcards literally', async () => {
+  const { api, createRequest } = server
+  const id = await createRequest('admin')
+  const search = async (q) =>
+    (await api('admin', 'GET', `/api/requests/${id}/mentionable?q=${encodeURIComponent(q)}`)).body.list.map((u) => u.username)
+
+  assert.deepEqual(await search('dev_'), ['dev_ops'])
+  assert.deepEqual(await search('%'), ['dev%lead'])
+  assert.deepEqual(await search('dev'), ['dev%lead', 'dev_ops', 'devxops'])
+})
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+
+import { startTestServer } from './testServer.js'
+
+// The default space uses `own` visibility: requesters only see their own requests.
+let server
+
+before(async () => {
+  server = await startTestServer()
+  await server.createUser('alice')
+  await server.createUser('bob')
+})
+
+after(() => server?.stop())
+
+test('the detail view leaves out linked requests the viewer cannot open', async () => {
+  const { api, createRequest } = server
+  const mine = await createRequest('alice')
+  const myDuplicate = await createRequest('alice')
+  const theirs = await createRequest('bob')
+  const theirDuplicate = await createRequest('bob')
+  await api('admin', 'POST', `/api/requests/${mine}/relations`, { type: 'related-to', targetId: theirs })
+  await api('admin', 'POST', `/api/requests/${theirDuplicate}/duplicate`, { duplicateOfId: mine })
+  await api('admin', 'POST', `/api/requests/${myDuplicate}/duplicate`, { duplicateOfId: theirs })
+
+  const asAlice = (await api('alice', 'GET', `/api/requests/${mine}`)).body
+  assert.deepEqual(asAlice.relations, [])
+  assert.deepEqual(asAlice.duplicates, [])
+  assert.equal((await api('alice', 'GET', `/api/requests/${myDuplicate}`)).body.duplicateOf, null)
+
+  const asAdmin = (await api('admin', 'GET', `/api/requests/${mine}`)).body
+  assert.deepEqual(
+    asAdmin.relations.map((r) => r.request.id),
+    [theirs, theirDuplicate],
+  )
+  assert.deepEqual(
+    asAdmin.duplicates.map((r) => r.id),
+    [theirDuplicate],
+  )
+  assert.equal((await api('admin', 'GET', `/api/requests/${myDuplicate}`)).body.duplicateOf.id, theirs)
+})
+
+test('a request cannot be linked to one the caller cannot open', async () => {
+  const { api, createRequest } = server
+  const mine = await createRequest('alice')
+  const theirs = await createRequest('bob')
+
+  const hidden = await api('alice', 'POST', `/api/requests/${mine}/relations`, { type: 'related-to', targetId: theirs })
+  const missing = await api('alice', 'POST', `/api/requests/${mine}/relations`, { type: 'related-to', targetId: 'no-such-id' })
+  assert.equal(hidden.status, 400)
+  assert.deepEqual(hidden.body, missing.body)
+
+  const other = await createRequest('alice')
+  const allowed = await api('alice', 'POST', `/api/requests/${mine}/relations`, { type: 'related-to', targetId: other })
+  assert.equal(allowed.status, 200)
+})
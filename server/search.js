@@ -0,0 +1,99 @@
+// Markers wrapped around matched text in snippets; private-use characters are not expected in request text.
+export const SNIPPET_OPEN = '\uE000'
+export const SNIPPET_CLOSE = '\uE001'
+
+// The trigram tokenizer cannot MATCH terms shorter than three characters; those fall back to LIKE.
+export const MIN_MATCH_LENGTH = 3
+
+const QUALIFIER_ALIASES = {
+  tag: 'tag',
+  标签: 'tag',
+  status: 'status',
+  状态: 'status',
+  priority: 'priority',
+  优先级: 'priority',
+  category: 'category',
+  分类: 'category',
+  domain: 'domain',
+  领域: 'domain',
+  contact: 'contactPerson',
+  接口人: 'contactPerson',
+  requester: 'requester',
+  提交者: 'requester',
+  implementer: 'implementer',
+  实施人: 'implementer',
+}
+
+const TOKEN_RE = /([^\s:"：]+)[:：]"([^"]*)"|([^\s:"：]+)[:：](\S+)|"([^"]*)"|(\S+)/g
+
+// Splits `tag:xxx status:Accepted "exact phrase" words` into qualifier filters and free-text terms.
+export function parseSearchQuery(input) {
+  const filters = {}
+  const terms = []
+  const text = String(input || '')
+  for (const m of text.matchAll(TOKEN_RE)) {
+    const key = m[1] ?? m[3]
+    const value = (m[2] ?? m[4] ?? '').trim()
+    const field = key ? QUALIFIER_ALIASES[key.toLowerCase()] ?? QUALIFIER_ALIASES[key] : null
+    if (field) {
+      if (value) (filters[field] ??= []).push(value)
+      continue
+    }
+    const term = (m[5] ?? m[6] ?? m[0]).trim()
+    if (term) terms.push(term)
+  }
+  return { filters, terms }
+}
+
+export function toMatchExpression(terms) {
+  return terms.map((t) => `"${t.replaceAll('"', '""')}"`).join(' ')
+}
+
+export function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`)
+}
+
+// Builds a marked excerpt around the first occurrence of any term, for rows matched via LIKE.
+export function buildSnippet(fields, terms, radius = 24) {
+  const needles = terms.map((t) => t.toLowerCase()).filter(Boolean)
+  if (!needles.length) return null
+  for (const field of fields) {
+    const text = String(field || '').replace(/\s+/g, ' ')
+    const lower = text.toLowerCase()
+    let first = -1
+    for (const n of needles) {
+      const idx = lower.indexOf(n)
+      if (idx >= 0 && (first < 0 || idx < first)) first = idx
+    }
+    if (first < 0) continue
+    const start = Math.max(0, first - radius)
+    const end = Math.min(text.length, first + radius * 2)
+    let excerpt = text.slice(start, end)
+    const pattern = new RegExp(needles.map((n) => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi')
+    excerpt = excerpt.replace(pattern, (hit) => `${SNIPPET_OPEN}${hit}${SNIPPET_CLOSE}`)
+    return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`
+  }
+  return null
+}
+
+// Character trigrams per word chunk; works for CJK text where words are not space separated.
+export function textTrigrams(text, maxLength = 2000) {
+  const grams = new Set()
+  const chunks = String(text || '')
+    .slice(0, maxLength)
+    .toLowerCase()
+    .split(/[\s\p{P}\p{S}]+/u)
+  for (const chunk of chunks) {
+    const chars = [...chunk]
+    if (chars.length && chars.length < MIN_MATCH_LENGTH) grams.add(chunk)
+    for (let i = 0; i + MIN_MATCH_LENGTH <= chars.length; i += 1) grams.add(chars.slice(i, i + MIN_MATCH_LENGTH).join(''))
+  }
+  return grams
+}
+
+export function diceCoefficient(a, b) {
+  if (!a.size || !b.size) return 0
+  let shared = 0
+  for (const gram of a) if (b.has(gram)) shared += 1
+  return (2 * shared) / (a.size + b.size)
+}
@@ -0,0 +1,92 @@
+import path from 'node:path'
+import ExcelJS from 'exceljs'
+
+// Excel runs a cell starting with one of these as a formula; a leading quote keeps user text as plain text.
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/
+
+export function toSpreadsheetText(value) {
+  const text = String(value ?? '')
+  return FORMULA_TRIGGER.test(text) ? `'${text}` : text
+}
+
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  const input = text.startsWith('\uFEFF') ? text.slice(1) : text
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i]
+    if (quoted) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"'
+          i += 1
+        } else {
+          quoted = false
+        }
+      } else {
+        cell += ch
+      }
+      continue
+    }
+    if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(buffer)
+  const sheet = workbook.worksheets[0]
+  if (!sheet) return []
+  const rows = []
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = []
+    for (let col = 1; col <= sheet.columnCount; col += 1) values.push(row.getCell(col).text ?? '')
+    rows[rowNumber - 1] = values
+  })
+  return Array.from(rows, (values) => values ?? [])
+}
+
+// Row numbers match what the user sees in Excel: the header is row 1.
+export async function readSpreadsheetRows(buffer, filename) {
+  const ext = path.extname(filename || '').toLowerCase()
+  let table
+  if (ext === '.xlsx') table = await readXlsx(buffer)
+  else if (ext === '.csv') table = parseCsv(buffer.toString('utf8'))
+  else {
+    const err = new Error('unsupported file type')
+    err.code = 'UNSUPPORTED_FILE'
+    throw err
+  }
+  const [header = [], ...body] = table
+  const headers = header.map((h) => String(h ?? '').trim())
+  const records = []
+  body.forEach((cells, index) => {
+    if (!cells.some((c) => String(c ?? '').trim())) return
+    const values = {}
+    headers.forEach((h, col) => {
+      if (h) values[h] = String(cells[col] ?? '').trim()
+    })
+    records.push({ rowNumber: index + 2, values })
+  })
+  return { headers, records }
+}
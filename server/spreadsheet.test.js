@@ -0,0 +1,16 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { toSpreadsheetText } from './spreadsheet.js'
+
+test('quotes cells Excel would run as formulas', () => {
+  for (const text of ['=1+1', '+1', '-1', '@SUM(A1)', '\tx', '\rx']) {
+    assert.equal(toSpreadsheetText(text), `'${text}`)
+  }
+})
+
+test('leaves other cells unchanged', () => {
+  assert.equal(toSpreadsheetText('登录页 = 首页'), '登录页 = 首页')
+  assert.equal(toSpreadsheetText(null), '')
+  assert.equal(toSpreadsheetText(42), '42')
+})
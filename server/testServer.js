@@ -0,0 +1,100 @@
+import { spawn } from 'node:child_process'
+import fs from 'node:fs'
+import net from 'node:net'
+import os from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const serverEntry = path.join(path.dirname(fileURLToPath(import.meta.url)), 'index.js')
+const ADMIN_PASSWORD = 'admin123'
+const STARTUP_TIMEOUT_MS = 15_000
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer()
+    probe.once('error', reject)
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address()
+      probe.close(() => resolve(port))
+    })
+  })
+}
+
+// Runs the real server against a throwaway database, for tests that go through the HTTP API.
+// Mail and webhooks stay off; `api(username, …)` logs in on first use (users get `password`).
+export async function startTestServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'urm-test-'))
+  const port = await freePort()
+  const child = spawn(process.execPath, [serverEntry], {
+    cwd: dir,
+    env: { ...process.env, SMTP_HOST: '', PORT: String(port), DB_PATH: 'urm.sqlite', ADMIN_PASSWORD, ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  })
+  let output = ''
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), STARTUP_TIMEOUT_MS)
+    const onData = (chunk) => {
+      output += chunk
+      if (output.includes('server listening')) {
+        clearTimeout(timer)
+        resolve()
+      }
+    }
+    child.stdout.on('data', onData)
+    child.stderr.on('data', onData)
+    child.once('exit', (code) => {
+      clearTimeout(timer)
+      reject(new Error(`server exited with ${code}:\n${output}`))
+    })
+  })
+
+  const baseUrl = `http://127.0.0.1:${port}`
+  const tokens = new Map()
+
+  async function send(method, url, body, token) {
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    })
+    const text = await res.text()
+    return { status: res.status, body: text ? JSON.parse(text) : null }
+  }
+
+  async function api(username, method, url, body) {
+    if (!tokens.has(username)) {
+      const password = username === 'admin' ? ADMIN_PASSWORD : 'password'
+      const login = await send('POST', '/api/auth/login', { username, password })
+      if (login.status !== 200) throw new Error(`login failed for ${username}: ${login.body?.message}`)
+      tokens.set(username, login.body.token)
+    }
+    return send(method, url, body, tokens.get(username))
+  }
+
+  async function createUser(username, role = 'requester') {
+    const res = await api('admin', 'POST', '/api/users', { username, name: username, role, password: 'password' })
+    if (res.status !== 200) throw new Error(`cannot create ${username}: ${res.body?.message}`)
+    return res.body.user ?? res.body
+  }
+
+  async function createRequest(username, fields = {}) {
+    const res = await api(username, 'POST', '/api/requests', { title: 'request', description: 'd', why: 'w', ...fields })
+    if (res.status !== 200) throw new Error(`cannot create request: ${res.body?.message}`)
+    return res.body.id
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      await new Promise((resolve) => {
+        child.once('exit', resolve)
+        child.kill()
+      })
+    }
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+
+  return { api, createUser, createRequest, stop }
+}
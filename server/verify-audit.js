@@ -0,0 +1,28 @@
+// Verifies the audit log hash chain of the database at DB_PATH (default data/urm.sqlite).
+// Usage: npm run audit:verify    Exit code 0 when intact, 1 when a broken link is found.
+// The database is opened read-only and not migrated, so what is checked is exactly what is on disk.
+import Database from 'better-sqlite3'
+
+import { verifyAuditChain } from './auditChain.js'
+import { getDbPath } from './db.js'
+
+const dbPath = getDbPath()
+const db = new Database(dbPath, { readonly: true, fileMustExist: true })
+const result = verifyAuditChain(db)
+db.close()
+
+// eslint-disable-next-line no-console
+console.log(`database: ${dbPath}`)
+if (result.ok) {
+  // eslint-disable-next-line no-console
+  console.log(`audit chain intact: ${result.checked} entries, head ${result.headHash ?? '-'}`)
+} else {
+  const b = result.brokenAt
+  // eslint-disable-next-line no-console
+  console.error(`audit chain broken after ${result.checked} of ${result.total} entries`)
+  // eslint-disable-next-line no-console
+  console.error(`first broken entry: seq=${b.seq} id=${b.id} request=${b.requestId} at ${b.createdAt}`)
+  // eslint-disable-next-line no-console
+  console.error(`reason: ${b.reason}`)
+  process.exitCode = 1
+}
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+
+import { startTestServer } from './testServer.js'
+
+// The default space uses `own` visibility: requesters only see their own requests.
+let server
+
+before(async () => {
+  server = await startTestServer()
+  await server.createUser('alice')
+  await server.createUser('bob')
+})
+
+after(() => server?.stop())
+
+test('watch and unwatch guard the request the same way', async () => {
+  const { api, createRequest } = server
+  const mine = await createRequest('alice')
+  const theirs = await createRequest('bob')
+
+  for (const method of ['POST', 'DELETE']) {
+    assert.equal((await api('alice', method, `/api/requests/${theirs}/watch`)).status, 403, method)
+    assert.equal((await api('alice', method, '/api/requests/no-such-id/watch')).status, 404, method)
+  }
+
+  assert.equal((await api('alice', 'POST', `/api/requests/${mine}/watch`)).body.watching, true)
+  const unwatched = await api('alice', 'DELETE', `/api/requests/${mine}/watch`)
+  assert.equal(unwatched.status, 200)
+  assert.equal(unwatched.body.watching, false)
+  assert.ok(!unwatched.body.watchers.some((w) => w.username === 'alice'))
+})
@@ -0,0 +1,141 @@
+import crypto from 'node:crypto'
+import { nanoid } from 'nanoid'
+
+import { fromJson } from './db.js'
+
+export const WEBHOOK_EVENTS = ['created', 'edited', 'status_change', 'comment', 'attachment']
+
+// Delay before attempt N+1; a delivery is marked failed once these are used up.
+export const RETRY_DELAYS_MS = [30_000, 2 * 60_000, 10 * 60_000, 60 * 60_000, 6 * 60 * 60_000]
+export const WEBHOOK_MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1
+
+const DELIVERY_TIMEOUT_MS = 10_000
+const BATCH_SIZE = 20
+
+export function signWebhookPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+}
+
+export function isValidWebhookUrl(value) {
+  try {
+    const url = new URL(String(value))
+    return url.protocol === 'http:' || url.protocol === 'https:'
+  } catch {
+    return false
+  }
+}
+
+function subscribes(hook, event) {
+  const events = fromJson(hook.eventsJson, [])
+  return !events.length || events.includes(event)
+}
+
+// Writes one pending delivery per active endpoint subscribed to the event; the payload is snapshotted now.
+export function enqueueWebhookEvent(db, event, data, options = {}) {
+  const hooks = options.webhookId
+    ? db.prepare('SELECT * FROM webhooks WHERE id = ?').all(options.webhookId)
+    : db.prepare('SELECT * FROM webhooks WHERE isActive = 1').all().filter((hook) => subscribes(hook, event))
+  if (!hooks.length) return 0
+  const t = new Date().toISOString()
+  const insert = db.prepare(
+    `
+    INSERT INTO webhook_deliveries
+    (id, webhookId, event, requestId, payloadJson, status, attempts, nextAttemptAt, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+  `,
+  )
+  for (const hook of hooks) {
+    const id = nanoid()
+    const payload = JSON.stringify({ id, event, occurredAt: t, ...data })
+    insert.run(id, hook.id, event, data.request?.id ?? null, payload, t, t, t)
+  }
+  return hooks.length
+}
+
+async function deliver(db, delivery) {
+  const body = delivery.payloadJson
+  const attempts = delivery.attempts + 1
+  let statusCode = null
+  let error = null
+  let responseBody = null
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'urm-webhook/1',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': signWebhookPayload(delivery.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    })
+    statusCode = res.status
+    responseBody = (await res.text().catch(() => '')).slice(0, 500)
+    if (!res.ok) error = `HTTP ${res.status}`
+  } catch (e) {
+    error = String(e?.message || e).slice(0, 500)
+  }
+
+  const now = new Date()
+  let status = 'success'
+  let nextAttemptAt = null
+  if (error) {
+    const delay = RETRY_DELAYS_MS[attempts - 1]
+    status = delay === undefined ? 'failed' : 'pending'
+    nextAttemptAt = delay === undefined ? null : new Date(now.getTime() + delay).toISOString()
+  }
+  db.prepare(
+    `
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, nextAttemptAt = ?, lastStatusCode = ?, lastError = ?, responseBody = ?,
+        deliveredAt = ?, updatedAt = ?
+    WHERE id = ?
+  `,
+  ).run(status, attempts, nextAttemptAt, statusCode, error, responseBody, error ? null : now.toISOString(), now.toISOString(), delivery.id)
+}
+
+let processing = null
+
+async function drainQueue(db) {
+  for (;;) {
+    const due = db
+      .prepare(
+        `
+        SELECT d.*, w.url, w.secret
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhookId
+        WHERE d.status = 'pending' AND d.nextAttemptAt <= ?
+        ORDER BY d.createdAt ASC
+        LIMIT ?
+      `,
+      )
+      .all(new Date().toISOString(), BATCH_SIZE)
+    for (const delivery of due) await deliver(db, delivery)
+    if (due.length < BATCH_SIZE) return
+  }
+}
+
+// Sends due deliveries in creation order; concurrent calls share the running pass.
+export function processWebhookQueue(db) {
+  if (!processing) {
+    processing = drainQueue(db).finally(() => {
+      processing = null
+    })
+  }
+  return processing
+}
+
+export function startWebhookWorker(db) {
+  const intervalMs = Math.max(1000, Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 10_000)
+  const run = () =>
+    processWebhookQueue(db).catch((e) => {
+      // eslint-disable-next-line no-console
+      console.error('webhook delivery failed', e)
+    })
+  run()
+  const timer = setInterval(run, intervalMs)
+  timer.unref?.()
+  return run
+}
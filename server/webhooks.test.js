@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { after, before, beforeEach, test } from 'node:test'
+import Database from 'better-sqlite3'
+
+import { migrate } from './db.js'
+import {
+  RETRY_DELAYS_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  enqueueWebhookEvent,
+  processWebhookQueue,
+  signWebhookPayload,
+} from './webhooks.js'
+
+const SECRET = 'test-secret'
+
+// Receiver answers every delivery with `status` and keeps what it was sent.
+const receiver = { status: 200, received: [] }
+let server
+let db
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => {
+      receiver.received.push({ headers: req.headers, body })
+      res.writeHead(receiver.status).end('ok')
+    })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+})
+
+after(() => new Promise((resolve) => server.close(resolve)))
+
+beforeEach(() => {
+  receiver.status = 200
+  receiver.received = []
+  db = new Database(':memory:')
+  migrate(db)
+  const t = new Date().toISOString()
+  db.prepare(
+    `INSERT INTO webhooks (id, name, url, secret, eventsJson, isActive, createdAt, updatedAt) VALUES ('w1', 'test', ?, ?, '[]', 1, ?, ?)`,
+  ).run(`http://127.0.0.1:${server.address().port}/hook`, SECRET, t, t)
+})
+
+function onlyDelivery() {
+  return db.prepare('SELECT * FROM webhook_deliveries').get()
+}
+
+test('signs the body with the endpoint secret', async () => {
+  enqueueWebhookEvent(db, 'created', { request: { id: 'r1' } })
+  await processWebhookQueue(db)
+
+  assert.equal(receiver.received.length, 1)
+  const { headers, body } = receiver.received[0]
+  assert.equal(body, onlyDelivery().payloadJson)
+  assert.equal(headers['x-webhook-signature'], signWebhookPayload(SECRET, body))
+  assert.equal(headers['x-webhook-event'], 'created')
+  assert.equal(onlyDelivery().status, 'success')
+})
+
+test('reschedules non-2xx responses by RETRY_DELAYS_MS and fails after WEBHOOK_MAX_ATTEMPTS', async () => {
+  receiver.status = 500
+  enqueueWebhookEvent(db, 'created', { request: { id: 'r1' } })
+
+  for (let attempt = 1; attempt < WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const startedAt = Date.now()
+    await processWebhookQueue(db)
+    const delivery = onlyDelivery()
+    assert.equal(delivery.status, 'pending')
+    assert.equal(delivery.attempts, attempt)
+    assert.equal(delivery.lastStatusCode, 500)
+    assert.equal(delivery.lastError, 'HTTP 500')
+    const delay = Date.parse(delivery.nextAttemptAt) - startedAt
+    assert.ok(delay >= RETRY_DELAYS_MS[attempt - 1] && delay < RETRY_DELAYS_MS[attempt - 1] + 5000, `attempt ${attempt} delay ${delay}`)
+
+    // Not yet due: another pass must leave it alone.
+    await processWebhookQueue(db)
+    assert.equal(receiver.received.length, attempt)
+
+    db.prepare('UPDATE webhook_deliveries SET nextAttemptAt = ?').run(new Date(0).toISOString())
+  }
+
+  await processWebhookQueue(db)
+  const delivery = onlyDelivery()
+  assert.equal(receiver.received.length, WEBHOOK_MAX_ATTEMPTS)
+  assert.equal(delivery.status, 'failed')
+  assert.equal(delivery.attempts, WEBHOOK_MAX_ATTEMPTS)
+  assert.equal(delivery.nextAttemptAt, null)
+})
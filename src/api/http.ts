@@ -1,3 +1,4 @@
+import { getSpaceId } from '@/utils/space'
 import { getToken } from '@/utils/token'
 
 export class ApiError extends Error {
@@ -24,6 +25,8 @@ export async function apiRequest<T>(
   if (auth) {
     const token = getToken()
     if (token) headers.Authorization = `Bearer ${token}`
+    const spaceId = getSpaceId()
+    if (spaceId) headers['X-Space-Id'] = spaceId
   }
 
   const res = await fetch(path, {
@@ -14,21 +14,33 @@ const router = createRouter({
         { path: '', redirect: '/dashboard' },
         { path: 'dashboard', name: 'dashboard', component: () => import('@/views/DashboardView.vue') },
         { path: 'requests', name: 'requests', component: () => import('@/views/RequestsListView.vue') },
+        {
+          path: 'workbench',
+          name: 'workbench',
+          component: () => import('@/views/WorkbenchView.vue'),
+          meta: { roles: ['reviewer', 'admin'] satisfies Role[] },
+        },
+        { path: 'board', name: 'board', component: () => import('@/views/BoardView.vue') },
         { path: 'requests/new', name: 'request-new', component: () => import('@/views/RequestFormView.vue') },
         { path: 'requests/:id', name: 'request-detail', component: () => import('@/views/RequestDetailView.vue') },
         { path: 'requests/:id/edit', name: 'request-edit', component: () => import('@/views/RequestFormView.vue') },
+        {
+          path: 'settings/notifications',
+          name: 'notification-settings',
+          component: () => import('@/views/NotificationSettingsView.vue'),
+        },
         { path: 'ai-assistant', name: 'ai-assistant', component: () => import('@/views/AiAssistantRedirectView.vue') },
         {
           path: 'admin/users',
           name: 'admin-users',
           component: () => import('@/views/AdminUsersView.vue'),
-          meta: { roles: ['admin'] satisfies Role[] },
+          meta: { globalRoles: ['admin'] satisfies Role[] },
         },
         {
           path: 'admin/visits',
           name: 'admin-visits',
           component: () => import('@/views/AdminVisitsView.vue'),
-          meta: { roles: ['admin'] satisfies Role[] },
+          meta: { globalRoles: ['admin'] satisfies Role[] },
         },
         {
           path: 'admin/request-options',
@@ -36,6 +48,42 @@ const router = createRouter({
           component: () => import('@/views/AdminRequestOptionsView.vue'),
           meta: { roles: ['admin'] satisfies Role[] },
         },
+        {
+          path: 'admin/workflow',
+          name: 'admin-workflow',
+          component: () => import('@/views/AdminWorkflowView.vue'),
+          meta: { globalRoles: ['admin'] satisfies Role[] },
+        },
+        {
+          path: 'admin/sla',
+          name: 'admin-sla',
+          component: () => import('@/views/AdminSlaView.vue'),
+          meta: { globalRoles: ['admin'] satisfies Role[] },
+        },
+        {
+          path: 'admin/webhooks',
+          name: 'admin-webhooks',
+          component: () => import('@/views/AdminWebhooksView.vue'),
+          meta: { globalRoles: ['admin'] satisfies Role[] },
+        },
+        {
+          path: 'admin/email',
+          name: 'admin-email',
+          component: () => import('@/views/AdminEmailOutboxView.vue'),
+          meta: { globalRoles: ['admin'] satisfies Role[] },
+        },
+        {
+          path: 'admin/spaces',
+          name: 'admin-spaces',
+          component: () => import('@/views/AdminSpacesView.vue'),
+          meta: { roles: ['admin'] satisfies Role[] },
+        },
+        {
+          path: 'admin/trash',
+          name: 'admin-trash',
+          component: () => import('@/views/AdminTrashView.vue'),
+          meta: { roles: ['admin'] satisfies Role[] },
+        },
       ],
     },
     { path: '/:pathMatch(.*)*', redirect: '/dashboard' },
@@ -48,11 +96,17 @@ router.beforeEach(async (to) => {
   const isAuthed = auth.isAuthed
   if (to.path === '/login') return true
   if (!isAuthed) return { path: '/login', query: { redirect: to.fullPath } }
+  // `roles` are checked against the role in the current space, `globalRoles` against users.role.
   const roles = (to.meta?.roles as Role[] | undefined) ?? undefined
   if (roles?.length) {
-    const role = auth.user?.role
+    const role = auth.role
     if (!role || !roles.includes(role)) return { path: '/requests' }
   }
+  const globalRoles = (to.meta?.globalRoles as Role[] | undefined) ?? undefined
+  if (globalRoles?.length) {
+    const role = auth.globalRole
+    if (!role || !globalRoles.includes(role)) return { path: '/requests' }
+  }
   return true
 })
 
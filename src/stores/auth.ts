@@ -1,26 +1,40 @@
 import { defineStore } from 'pinia'
 import { computed, ref } from 'vue'
 import { apiRequest, ApiError } from '@/api/http'
-import type { Role, User } from '@/types/domain'
+import type { Role, Space, User } from '@/types/domain'
+import { setSpaceId } from '@/utils/space'
 import { clearToken, getToken, setToken } from '@/utils/token'
 
 type LoginResponse = { token: string; user: User }
+type MeResponse = { user: User; spaces: Space[]; spaceId: string | null }
 
 export const useAuthStore = defineStore('auth', () => {
   const token = ref<string>(getToken())
   const user = ref<User | null>(null)
+  const spaces = ref<Space[]>([])
+  const spaceId = ref<string | null>(null)
   const ready = ref(false)
 
+  // user.role is the role inside the current space; globalRole gates system-wide admin pages.
   const role = computed<Role | null>(() => user.value?.role ?? null)
+  const globalRole = computed<Role | null>(() => user.value?.globalRole ?? user.value?.role ?? null)
+  const currentSpace = computed(() => spaces.value.find((s) => s.id === spaceId.value) ?? null)
   const isAuthed = computed(() => !!token.value && !!user.value)
 
+  async function loadMe() {
+    const res = await apiRequest<MeResponse>('/api/me')
+    user.value = res.user
+    spaces.value = res.spaces
+    spaceId.value = res.spaceId
+    if (res.spaceId) setSpaceId(res.spaceId)
+  }
+
   async function init() {
     if (ready.value) return
     ready.value = true
     if (!token.value) return
     try {
-      const res = await apiRequest<{ user: User }>('/api/me')
-      user.value = res.user
+      await loadMe()
     } catch (e) {
       if (e instanceof ApiError && e.status === 401) {
         token.value = ''
@@ -39,6 +53,7 @@ export const useAuthStore = defineStore('auth', () => {
     token.value = res.token
     user.value = res.user
     setToken(res.token)
+    await loadMe()
   }
 
   async function register(username: string, password: string, name: string) {
@@ -50,13 +65,37 @@ export const useAuthStore = defineStore('auth', () => {
     token.value = res.token
     user.value = res.user
     setToken(res.token)
+    await loadMe()
+  }
+
+  async function switchSpace(id: string) {
+    setSpaceId(id)
+    await loadMe()
   }
 
   function logout() {
     token.value = ''
     user.value = null
+    spaces.value = []
+    spaceId.value = null
     clearToken()
   }
 
-  return { token, user, role, ready, isAuthed, init, login, register, logout }
+  return {
+    token,
+    user,
+    spaces,
+    spaceId,
+    role,
+    globalRole,
+    currentSpace,
+    ready,
+    isAuthed,
+    init,
+    loadMe,
+    login,
+    register,
+    switchSpace,
+    logout,
+  }
 })
@@ -0,0 +1,58 @@
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import { apiRequest } from '@/api/http'
+import type { NotificationItem } from '@/types/domain'
+
+type NotificationsResponse = {
+  list: NotificationItem[]
+  unreadCount: number
+}
+
+const POLL_INTERVAL_MS = 60 * 1000
+
+export const useNotificationsStore = defineStore('notifications', () => {
+  const list = ref<NotificationItem[]>([])
+  const unreadCount = ref(0)
+  const loading = ref(false)
+  let pollTimer: number | undefined
+
+  async function fetchList() {
+    loading.value = true
+    try {
+      const res = await apiRequest<NotificationsResponse>('/api/notifications?limit=30')
+      list.value = res.list
+      unreadCount.value = res.unreadCount
+    } finally {
+      loading.value = false
+    }
+  }
+
+  async function markRead(id: string) {
+    const item = list.value.find((n) => n.id === id)
+    if (item?.read) return
+    await apiRequest<{ ok: true }>(`/api/notifications/${id}/read`, { method: 'POST' })
+    if (item) item.read = true
+    unreadCount.value = Math.max(0, unreadCount.value - 1)
+  }
+
+  async function markAllRead() {
+    await apiRequest<{ ok: true }>('/api/notifications/read-all', { method: 'POST' })
+    for (const item of list.value) item.read = true
+    unreadCount.value = 0
+  }
+
+  function startPolling() {
+    stopPolling()
+    fetchList().catch(() => undefined)
+    pollTimer = window.setInterval(() => {
+      fetchList().catch(() => undefined)
+    }, POLL_INTERVAL_MS)
+  }
+
+  function stopPolling() {
+    window.clearInterval(pollTimer)
+    pollTimer = undefined
+  }
+
+  return { list, unreadCount, loading, fetchList, markRead, markAllRead, startPolling, stopPolling }
+})
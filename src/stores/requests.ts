@@ -1,18 +1,55 @@
 import { defineStore } from 'pinia'
 import { computed, ref } from 'vue'
-import { apiRequest } from '@/api/http'
-import type { Category, CommentItem, Priority, RequestItem, RequestStatus, AuditLogItem, AttachmentItem } from '@/types/domain'
+import { apiRequest, ApiError } from '@/api/http'
+import { getSpaceId } from '@/utils/space'
+import { getToken } from '@/utils/token'
+import type {
+  Category,
+  CommentItem,
+  CommentReaction,
+  CommentVersion,
+  Priority,
+  RequestItem,
+  RequestStatus,
+  AuditLogItem,
+  AttachmentItem,
+  DuplicateLink,
+  RelationType,
+  RequestRelation,
+  RequestWatcher,
+  SimilarRequest,
+  TrashedRequest,
+} from '@/types/domain'
 
+// Multi-value filters match any of the given values; the `not…` ones exclude them.
 export type RequestsQuery = Partial<{
   q: string
-  status: RequestStatus
-  priority: Priority
-  category: Category
-  domain: string
-  contactPerson: string
-  tag: string
-  requesterId: string
-  implementerId: string
+  status: RequestStatus[]
+  priority: Priority[]
+  category: Category[]
+  domain: string[]
+  contactPerson: string[]
+  requesterId: string[]
+  implementerId: string[]
+  reviewerId: string[]
+  notStatus: RequestStatus[]
+  notPriority: Priority[]
+  notCategory: Category[]
+  notDomain: string[]
+  tagsAny: string[]
+  tagsAll: string[]
+  notTags: string[]
+  // `YYYY-MM-DD`, both ends inclusive.
+  createdFrom: string
+  createdTo: string
+  updatedFrom: string
+  updatedTo: string
+  noImplementer: boolean
+  noDomain: boolean
+  // Archived requests are hidden unless asked for (a text search always includes them).
+  archived: 'include' | 'only'
+  // Only requests past their SLA target in the current status.
+  overdue: boolean
   sortBy:
     | 'domain'
     | 'title'
@@ -25,11 +62,30 @@ export type RequestsQuery = Partial<{
     | 'priority'
     | 'category'
     | 'tags'
+    | 'relevance'
   sortOrder: 'asc' | 'desc'
   page: number
   pageSize: number
 }>
 
+export type BulkAction = 'status' | 'assign' | 'priority' | 'domain' | 'category' | 'addTags' | 'removeTags' | 'delete'
+
+export type BulkActionInput = {
+  action: BulkAction
+  ids: string[]
+  toStatus?: RequestStatus
+  reason?: string
+  suspendUntil?: string
+  suspendCondition?: string
+  implementerId?: string
+  priority?: Priority | null
+  domain?: string | null
+  category?: Category | null
+  tags?: string[]
+}
+
+export type BulkActionResult = { id: string; ok: boolean; changed?: boolean; message?: string }
+
 type RequestsListResponse = {
   list: RequestItem[]
   total: number
@@ -41,7 +97,13 @@ type RequestDetailResponse = {
   request: RequestItem
   comments: CommentItem[]
   auditLogs: AuditLogItem[]
+  auditUsers: Record<string, { name: string; username: string }>
   attachments: AttachmentItem[]
+  duplicateOf: DuplicateLink | null
+  duplicates: DuplicateLink[]
+  relations: RequestRelation[]
+  watchers: RequestWatcher[]
+  watching: boolean
 }
 
 export const useRequestsStore = defineStore('requests', () => {
@@ -54,7 +116,13 @@ export const useRequestsStore = defineStore('requests', () => {
   const current = ref<RequestItem | null>(null)
   const comments = ref<CommentItem[]>([])
   const auditLogs = ref<AuditLogItem[]>([])
+  const auditUsers = ref<Record<string, { name: string; username: string }>>({})
   const attachments = ref<AttachmentItem[]>([])
+  const duplicateOf = ref<DuplicateLink | null>(null)
+  const duplicates = ref<DuplicateLink[]>([])
+  const relations = ref<RequestRelation[]>([])
+  const watchers = ref<RequestWatcher[]>([])
+  const watching = ref(false)
   const loadingDetail = ref(false)
 
   const summary = ref({
@@ -74,21 +142,43 @@ export const useRequestsStore = defineStore('requests', () => {
     return map
   })
 
+  function buildSearch(query: RequestsQuery) {
+    const search = new URLSearchParams()
+    if (query.q) search.set('q', query.q)
+    const lists = [
+      'status',
+      'priority',
+      'category',
+      'domain',
+      'contactPerson',
+      'requesterId',
+      'implementerId',
+      'reviewerId',
+      'notStatus',
+      'notPriority',
+      'notCategory',
+      'notDomain',
+      'tagsAny',
+      'tagsAll',
+      'notTags',
+    ] as const
+    for (const key of lists) if (query[key]?.length) search.set(key, query[key].join(','))
+    for (const key of ['createdFrom', 'createdTo', 'updatedFrom', 'updatedTo'] as const) {
+      if (query[key]) search.set(key, query[key])
+    }
+    if (query.noImplementer) search.set('noImplementer', '1')
+    if (query.noDomain) search.set('noDomain', '1')
+    if (query.archived) search.set('archived', query.archived)
+    if (query.overdue) search.set('overdue', '1')
+    if (query.sortBy) search.set('sortBy', query.sortBy)
+    if (query.sortOrder) search.set('sortOrder', query.sortOrder)
+    return search
+  }
+
   async function fetchList(query: RequestsQuery) {
     loadingList.value = true
     try {
-      const search = new URLSearchParams()
-      if (query.q) search.set('q', query.q)
-      if (query.status) search.set('status', query.status)
-      if (query.priority) search.set('priority', query.priority)
-      if (query.category) search.set('category', query.category)
-      if (query.domain) search.set('domain', query.domain)
-      if (query.contactPerson) search.set('contactPerson', query.contactPerson)
-      if (query.tag) search.set('tag', query.tag)
-      if (query.requesterId) search.set('requesterId', query.requesterId)
-      if (query.implementerId) search.set('implementerId', query.implementerId)
-      if (query.sortBy) search.set('sortBy', query.sortBy)
-      if (query.sortOrder) search.set('sortOrder', query.sortOrder)
+      const search = buildSearch(query)
       search.set('page', String(query.page ?? page.value))
       search.set('pageSize', String(query.pageSize ?? pageSize.value))
 
@@ -102,6 +192,31 @@ export const useRequestsStore = defineStore('requests', () => {
     }
   }
 
+  async function exportList(query: RequestsQuery, format: 'csv' | 'xlsx') {
+    const search = buildSearch(query)
+    search.set('format', format)
+    const token = getToken()
+    const headers: Record<string, string> = { 'X-Space-Id': getSpaceId() }
+    if (token) headers.Authorization = `Bearer ${token}`
+    const res = await fetch(`/api/requests/export?${search.toString()}`, { headers })
+    if (!res.ok) {
+      const data = await res.json().catch(() => null)
+      throw new ApiError(res.status, data?.message || res.statusText || '导出失败')
+    }
+    const disposition = res.headers.get('content-disposition') || ''
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)/)
+    const filename = match ? decodeURIComponent(match[1]) : `requests.${format}`
+    const blob = await res.blob()
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    a.remove()
+    window.URL.revokeObjectURL(url)
+  }
+
   async function fetchDetail(id: string) {
     loadingDetail.value = true
     try {
@@ -109,42 +224,138 @@ export const useRequestsStore = defineStore('requests', () => {
       current.value = res.request
       comments.value = res.comments
       auditLogs.value = res.auditLogs
+      auditUsers.value = res.auditUsers
       attachments.value = res.attachments
+      duplicateOf.value = res.duplicateOf
+      duplicates.value = res.duplicates
+      relations.value = res.relations
+      watchers.value = res.watchers
+      watching.value = res.watching
     } finally {
       loadingDetail.value = false
     }
   }
 
-  async function create(payload: {
+  async function create(
+    payload: {
+      title: string
+      description: string
+      why: string
+      acceptanceCriteria?: string
+      category?: Category
+      domain?: string
+      contactPerson?: string
+      deliveryMode?: string
+      priority?: Priority
+      tags?: string[]
+      links?: string[]
+      impactScope?: string
+      confidential?: boolean
+    },
+    options: { draft?: boolean } = {},
+  ) {
+    const res = await apiRequest<{ id: string }>('/api/requests', {
+      method: 'POST',
+      body: options.draft ? { ...payload, draft: true } : payload,
+    })
+    return res.id
+  }
+
+  async function submitDraft(id: string) {
+    await apiRequest<{ ok: true }>(`/api/requests/${id}/submit`, { method: 'POST' })
+  }
+
+  async function findSimilar(payload: {
     title: string
-    description: string
-    why: string
-    acceptanceCriteria?: string
-    category?: Category
-    domain?: string
-    contactPerson?: string
-    deliveryMode?: string
-    priority?: Priority
+    description?: string
     tags?: string[]
-    links?: string[]
-    impactScope?: string
+    domain?: string
+    excludeId?: string
   }) {
-    const res = await apiRequest<{ id: string }>('/api/requests', { method: 'POST', body: payload })
-    return res.id
+    const res = await apiRequest<{ list: SimilarRequest[] }>('/api/requests/similar', { method: 'POST', body: payload })
+    return res.list
+  }
+
+  async function markDuplicate(requestId: string, payload: { duplicateOfId: string; note?: string }) {
+    await apiRequest<{ ok: true }>(`/api/requests/${requestId}/duplicate`, { method: 'POST', body: payload })
+    await fetchDetail(requestId)
+  }
+
+  async function addRelation(requestId: string, payload: { type: RelationType; targetId: string }) {
+    await apiRequest<{ ok: true }>(`/api/requests/${requestId}/relations`, { method: 'POST', body: payload })
+    await fetchDetail(requestId)
+  }
+
+  async function removeRelation(requestId: string, relationId: string) {
+    await apiRequest<{ ok: true }>(`/api/requests/${requestId}/relations/${relationId}`, { method: 'DELETE' })
+    await fetchDetail(requestId)
+  }
+
+  async function setWatching(requestId: string, next: boolean) {
+    const res = await apiRequest<{ watching: boolean; watchers: RequestWatcher[] }>(`/api/requests/${requestId}/watch`, {
+      method: next ? 'POST' : 'DELETE',
+    })
+    watching.value = res.watching
+    watchers.value = res.watchers
+  }
+
+  async function restoreVersion(requestId: string, auditLogId: string) {
+    const res = await apiRequest<{ ok: true; changed: boolean }>(`/api/requests/${requestId}/restore`, {
+      method: 'POST',
+      body: { auditLogId },
+    })
+    await fetchDetail(requestId)
+    return res.changed
   }
 
   async function update(id: string, payload: Partial<RequestItem>) {
     await apiRequest<{ ok: true }>(`/api/requests/${id}`, { method: 'PATCH', body: payload })
   }
 
-  async function addComment(requestId: string, content: string) {
-    await apiRequest<{ ok: true }>(`/api/requests/${requestId}/comments`, { method: 'POST', body: { content } })
-    await fetchDetail(requestId)
+  // requestId is the request the comment belongs to, which differs from current for merged duplicates.
+  async function addComment(requestId: string, content: string, parentId?: string) {
+    await apiRequest<{ ok: true }>(`/api/requests/${requestId}/comments`, { method: 'POST', body: { content, parentId } })
+    await fetchDetail(current.value?.id ?? requestId)
+  }
+
+  async function editComment(requestId: string, commentId: string, content: string) {
+    await apiRequest<{ ok: true }>(`/api/requests/${requestId}/comments/${commentId}`, { method: 'PATCH', body: { content } })
+    await fetchDetail(current.value?.id ?? requestId)
+  }
+
+  async function setThreadResolved(requestId: string, commentId: string, resolved: boolean) {
+    await apiRequest<{ ok: true }>(`/api/requests/${requestId}/comments/${commentId}/resolve`, {
+      method: 'POST',
+      body: { resolved },
+    })
+    await fetchDetail(current.value?.id ?? requestId)
+  }
+
+  async function toggleReaction(requestId: string, commentId: string, emoji: string) {
+    const res = await apiRequest<{ reactions: CommentReaction[] }>(`/api/requests/${requestId}/comments/${commentId}/reactions`, {
+      method: 'POST',
+      body: { emoji },
+    })
+    const comment = comments.value.find((c) => c.id === commentId)
+    if (comment) comment.reactions = res.reactions
+  }
+
+  async function fetchCommentVersions(requestId: string, commentId: string) {
+    return apiRequest<{ current: { content: string; editedAt: string | null }; versions: CommentVersion[] }>(
+      `/api/requests/${requestId}/comments/${commentId}/versions`,
+    )
+  }
+
+  async function searchMentionable(requestId: string, q: string) {
+    const res = await apiRequest<{ list: { id: string; username: string; name: string }[] }>(
+      `/api/requests/${requestId}/mentionable?q=${encodeURIComponent(q)}`,
+    )
+    return res.list
   }
 
   async function deleteComment(requestId: string, commentId: string) {
     await apiRequest<{ ok: true }>(`/api/requests/${requestId}/comments/${commentId}`, { method: 'DELETE' })
-    await fetchDetail(requestId)
+    await fetchDetail(current.value?.id ?? requestId)
   }
 
   async function changeStatus(
@@ -155,18 +366,49 @@ export const useRequestsStore = defineStore('requests', () => {
     await fetchDetail(requestId)
   }
 
+  // Items that fail are reported in `results`; the request itself only fails on invalid input.
+  async function bulkAction(input: BulkActionInput) {
+    return apiRequest<{ results: BulkActionResult[]; succeeded: number; failed: number }>('/api/requests/bulk', {
+      method: 'POST',
+      body: input,
+    })
+  }
+
   async function resubmit(requestId: string, note: string) {
     await apiRequest<{ ok: true }>(`/api/requests/${requestId}/resubmit`, { method: 'POST', body: { note } })
     await fetchDetail(requestId)
   }
 
+  async function setArchived(requestId: string, archived: boolean) {
+    await apiRequest<{ ok: true }>(`/api/requests/${requestId}/archive`, { method: 'POST', body: { archived } })
+    await fetchDetail(requestId)
+  }
+
+  async function fetchTrash() {
+    return apiRequest<{ retentionDays: number; list: TrashedRequest[] }>('/api/admin/trash')
+  }
+
+  async function restoreFromTrash(requestId: string) {
+    await apiRequest<{ ok: true }>(`/api/admin/trash/${requestId}/restore`, { method: 'POST' })
+  }
+
+  async function purgeFromTrash(requestId: string) {
+    await apiRequest<{ ok: true }>(`/api/admin/trash/${requestId}`, { method: 'DELETE' })
+  }
+
   async function deleteRequest(requestId: string) {
     await apiRequest<{ ok: true }>(`/api/requests/${requestId}`, { method: 'DELETE' })
     if (current.value?.id === requestId) {
       current.value = null
       comments.value = []
       auditLogs.value = []
+      auditUsers.value = {}
       attachments.value = []
+      duplicateOf.value = null
+      duplicates.value = []
+      relations.value = []
+      watchers.value = []
+      watching.value = false
     }
     if (list.value.length) {
       const next = list.value.filter((item) => item.id !== requestId)
@@ -198,19 +440,43 @@ export const useRequestsStore = defineStore('requests', () => {
     current,
     comments,
     auditLogs,
+    auditUsers,
     attachments,
+    duplicateOf,
+    duplicates,
+    relations,
+    watchers,
+    watching,
     loadingDetail,
     summary,
     byId,
     fetchList,
+    exportList,
     fetchDetail,
     create,
     update,
+    restoreVersion,
+    findSimilar,
+    markDuplicate,
+    addRelation,
+    removeRelation,
+    setWatching,
+    submitDraft,
     addComment,
+    editComment,
+    setThreadResolved,
+    toggleReaction,
+    fetchCommentVersions,
+    searchMentionable,
     deleteComment,
     changeStatus,
+    bulkAction,
     resubmit,
     deleteRequest,
+    setArchived,
+    fetchTrash,
+    restoreFromTrash,
+    purgeFromTrash,
     uploadAttachment,
     setSummary,
   }
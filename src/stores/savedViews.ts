@@ -0,0 +1,68 @@
+import { defineStore } from 'pinia'
+import { computed, ref } from 'vue'
+import { apiRequest } from '@/api/http'
+import type { PinnedView, SavedView, SavedViewFilters } from '@/types/domain'
+
+export type SavedViewInput = {
+  name?: string
+  filters?: SavedViewFilters
+  sort?: SavedView['sort']
+  hiddenColumns?: string[]
+  shared?: boolean
+}
+
+export const useSavedViewsStore = defineStore('savedViews', () => {
+  const views = ref<SavedView[]>([])
+  const loading = ref(false)
+
+  const myViews = computed(() => views.value.filter((v) => !v.shared))
+  const sharedViews = computed(() => views.value.filter((v) => v.shared))
+
+  async function fetchViews() {
+    loading.value = true
+    try {
+      const res = await apiRequest<{ views: SavedView[] }>('/api/views')
+      views.value = res.views
+    } finally {
+      loading.value = false
+    }
+  }
+
+  async function fetchView(id: string) {
+    const res = await apiRequest<{ view: SavedView }>(`/api/views/${encodeURIComponent(id)}`)
+    return res.view
+  }
+
+  async function createView(input: SavedViewInput) {
+    const res = await apiRequest<{ view: SavedView }>('/api/views', { method: 'POST', body: input })
+    await fetchViews()
+    return res.view
+  }
+
+  async function updateView(id: string, input: SavedViewInput) {
+    const res = await apiRequest<{ view: SavedView | null }>(`/api/views/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: input,
+    })
+    await fetchViews()
+    return res.view
+  }
+
+  async function deleteView(id: string) {
+    await apiRequest(`/api/views/${encodeURIComponent(id)}`, { method: 'DELETE' })
+    await fetchViews()
+  }
+
+  async function setPinned(id: string, pinned: boolean) {
+    await apiRequest(`/api/views/${encodeURIComponent(id)}/pin`, { method: 'PUT', body: { pinned } })
+    const view = views.value.find((v) => v.id === id)
+    if (view) view.pinned = pinned
+  }
+
+  async function fetchPinned() {
+    const res = await apiRequest<{ views: PinnedView[] }>('/api/views/pinned')
+    return res.views
+  }
+
+  return { views, loading, myViews, sharedViews, fetchViews, fetchView, createView, updateView, deleteView, setPinned, fetchPinned }
+})
@@ -0,0 +1,50 @@
+import { defineStore } from 'pinia'
+import { computed, ref } from 'vue'
+import { apiRequest } from '@/api/http'
+import type { RequestStatus, WorkflowDefinition, WorkflowState } from '@/types/domain'
+
+const DRAFT_STATE: WorkflowState = { key: 'Draft', label: '草稿', tagType: 'info' }
+
+export const useWorkflowStore = defineStore('workflow', () => {
+  const workflow = ref<WorkflowDefinition | null>(null)
+  let pending: Promise<WorkflowDefinition> | null = null
+
+  const states = computed<WorkflowState[]>(() => workflow.value?.states ?? [])
+  const transitions = computed(() => workflow.value?.transitions ?? [])
+
+  async function fetchWorkflow() {
+    const res = await apiRequest<{ workflow: WorkflowDefinition }>('/api/workflow')
+    workflow.value = res.workflow
+    return res.workflow
+  }
+
+  function ensureLoaded() {
+    if (workflow.value) return Promise.resolve(workflow.value)
+    if (!pending) {
+      pending = fetchWorkflow().finally(() => {
+        pending = null
+      })
+    }
+    return pending
+  }
+
+  async function save(next: WorkflowDefinition) {
+    const res = await apiRequest<{ workflow: WorkflowDefinition }>('/api/admin/workflow', {
+      method: 'PUT',
+      body: { workflow: next },
+    })
+    workflow.value = res.workflow
+    return res.workflow
+  }
+
+  function stateOf(status: RequestStatus) {
+    if (status === DRAFT_STATE.key) return DRAFT_STATE
+    return states.value.find((s) => s.key === status) ?? null
+  }
+
+  function labelOf(status: RequestStatus) {
+    return stateOf(status)?.label ?? status
+  }
+
+  return { workflow, states, transitions, fetchWorkflow, ensureLoaded, save, stateOf, labelOf }
+})
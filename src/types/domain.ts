@@ -1,6 +1,7 @@
 export type Role = 'requester' | 'reviewer' | 'admin'
 
-export type RequestStatus =
+export type BuiltinRequestStatus =
+  | 'Draft'
   | 'Submitted'
   | 'NeedInfo'
   | 'Accepted'
@@ -8,6 +9,37 @@ export type RequestStatus =
   | 'Rejected'
   | 'Closed'
 
+// Admins can add custom states to the workflow, so any string key is accepted.
+export type RequestStatus = BuiltinRequestStatus | (string & {})
+
+export type WorkflowRole = Role | 'owner'
+
+export type WorkflowField = 'reason' | 'implementerId' | 'suspendUntil' | 'suspendCondition' | 'suspendUntil|suspendCondition'
+
+export type WorkflowTagType = '' | 'success' | 'warning' | 'info' | 'danger'
+
+export interface WorkflowState {
+  key: RequestStatus
+  label: string
+  tagType: WorkflowTagType
+  final?: boolean
+}
+
+export interface WorkflowTransition {
+  from: RequestStatus
+  to: RequestStatus
+  label: string
+  roles: WorkflowRole[]
+  requires: WorkflowField[]
+  confirm?: boolean
+}
+
+export interface WorkflowDefinition {
+  initialState: RequestStatus
+  states: WorkflowState[]
+  transitions: WorkflowTransition[]
+}
+
 export type Priority = 'P0' | 'P1' | 'P2' | 'P3'
 
 export type Category = '功能' | '优化' | '缺陷' | '性能' | '咨询' | 'AI' | '精度'
@@ -17,7 +49,42 @@ export interface User {
   username: string
   name: string
   role: Role
-  email?: string
+  // Role from the users table; `role` is the effective role in the current space.
+  globalRole?: Role
+  email?: string | null
+  createdAt: string
+}
+
+// Who besides reviewers and the request's requester/implementer may read a request.
+export type VisibilityPolicy = 'all' | 'own' | 'own_domain' | 'confidential'
+
+export interface Space {
+  id: string
+  name: string
+  description?: string | null
+  visibility: VisibilityPolicy
+  role: Role
+}
+
+export interface AdminSpace {
+  id: string
+  name: string
+  description?: string | null
+  visibility: VisibilityPolicy
+  memberCount: number
+  requestCount: number
+  createdAt: string
+  updatedAt: string
+}
+
+export interface SpaceMember {
+  userId: string
+  username: string
+  name: string
+  globalRole: Role
+  // null means the member inherits their global role.
+  role: Role | null
+  effectiveRole: Role
   createdAt: string
 }
 
@@ -50,21 +117,152 @@ export interface RequestItem {
   decisionReason?: string
   suspendUntil?: string
   suspendCondition?: string
+  duplicateOfId?: string
+  spaceId?: string
+  confidential?: boolean
+  archivedAt?: string
+  deletedAt?: string
+  // Set when an SLA target applies to the request's current status.
+  sla?: RequestSla
   createdAt: string
   updatedAt: string
+  // Only set in search results; matches are wrapped in U+E000/U+E001 markers.
+  searchSnippet?: string
+}
+
+export type SlaPriority = Priority | '*'
+
+export interface SlaTarget {
+  status: RequestStatus
+  priority: SlaPriority
+  hours: number
+}
+
+export type SlaState = 'ok' | 'warning' | 'breached'
+
+export interface RequestSla {
+  targetHours: number
+  since: string
+  dueAt: string
+  elapsedHours: number
+  state: SlaState
+}
+
+export interface SlaGroupStats {
+  reviews: number
+  medianHours: number | null
+  breached: number
+  openBreached: number
+}
+
+export interface SlaDashboard {
+  days: number
+  overdue: { status: RequestStatus; breached: number; warning: number }[]
+  totals: { openBreached: number; reviews: number; medianHours: number | null }
+  reviewers: (SlaGroupStats & { userId: string | null; name: string | null; username: string | null })[]
+  domains: (SlaGroupStats & { domain: string | null })[]
+}
+
+export interface TrashedRequest extends RequestItem {
+  deletedAt: string
+  deletedByName?: string
+  deletedByUsername?: string
+  purgeAt: string
+}
+
+export interface SimilarRequest {
+  id: string
+  title: string
+  status: RequestStatus
+  domain?: string
+  tags: string[]
+  createdAt: string
+  sharedTags: string[]
+  sameDomain: boolean
+  score: number
+}
+
+export interface DuplicateLink {
+  id: string
+  title: string
+  status: RequestStatus
+  requesterId?: string
+  requesterName?: string
+  requesterUsername?: string
+}
+
+export type RelationType = 'duplicate-of' | 'blocks' | 'depends-on' | 'parent-of' | 'related-to'
+
+export interface RequestRelation {
+  id: string
+  type: RelationType
+  // outgoing: this request is the source (e.g. it blocks the other one)
+  direction: 'outgoing' | 'incoming'
+  createdAt: string
+  request: { id: string; title: string; status: RequestStatus }
+}
+
+export interface RequestWatcher {
+  userId: string
+  username: string
+  name: string
+  source: 'manual' | 'comment' | 'mention'
+  createdAt: string
 }
 
 export interface CommentItem {
   id: string
   requestId: string
+  // Root comment of the thread; threads are one level deep.
+  parentId?: string
   authorId: string
   authorName?: string
   authorUsername?: string
   content: string
+  // Users resolved from @username tokens in content.
+  mentions: MentionedUser[]
+  reactions: CommentReaction[]
+  editedAt?: string
+  versionCount: number
+  resolvedAt?: string
+  resolvedByName?: string
+  createdAt: string
+}
+
+export interface CommentReaction {
+  emoji: string
+  count: number
+  reacted: boolean
+  users: string[]
+}
+
+export interface CommentVersion {
+  id: string
+  content: string
+  editedBy: string
+  editedByName: string
+  editedByUsername: string
   createdAt: string
 }
 
-export type AuditActionType = 'status_change' | 'edit' | 'comment' | 'create'
+export interface MentionedUser {
+  userId: string
+  username: string
+  name: string
+}
+
+export type AuditActionType =
+  | 'status_change'
+  | 'edit'
+  | 'comment'
+  | 'comment_edit'
+  | 'comment_resolve'
+  | 'comment_delete'
+  | 'create'
+  | 'trash'
+  | 'restore'
+  | 'archive'
+  | 'delete'
 
 export interface AuditLogItem {
   id: string
@@ -79,6 +277,29 @@ export interface AuditLogItem {
   createdAt: string
 }
 
+export type EditedField =
+  | 'title'
+  | 'description'
+  | 'why'
+  | 'acceptanceCriteria'
+  | 'category'
+  | 'domain'
+  | 'contactPerson'
+  | 'deliveryMode'
+  | 'priority'
+  | 'tags'
+  | 'links'
+  | 'impactScope'
+  | 'confidential'
+  | 'implementerId'
+  | 'createdAt'
+
+// fromValue/toValue of an `edit` audit entry; older entries carry only the status.
+export interface EditAuditValue {
+  status: RequestStatus
+  fields?: Partial<Record<EditedField, unknown>>
+}
+
 export interface AttachmentItem {
   id: string
   requestId: string
@@ -90,3 +311,148 @@ export interface AttachmentItem {
   sizeBytes: number
   createdAt: string
 }
+
+export type NotificationType = 'status_change' | 'need_info' | 'comment' | 'mention' | 'edit' | 'attachment' | 'assigned'
+
+// need_info notifications follow the status_change preference, mention the comment one.
+export type NotificationEventType = 'status_change' | 'comment' | 'edit' | 'attachment' | 'assigned'
+
+export interface NotificationPreference {
+  eventType: NotificationEventType
+  inApp: boolean
+  email: boolean
+}
+
+export interface NotificationSettings {
+  preferences: NotificationPreference[]
+  email: string | null
+  // true: email notifications are collected into one daily mail.
+  emailDigest: boolean
+  // false when the server has no SMTP configured.
+  emailEnabled: boolean
+}
+
+export type EmailStatus = 'pending' | 'sent' | 'failed'
+
+export interface EmailOutboxItem {
+  id: string
+  userId?: string
+  username?: string
+  userName?: string
+  toAddress: string
+  kind: 'event' | 'digest' | 'test'
+  requestId?: string
+  subject: string
+  status: EmailStatus
+  attempts: number
+  nextAttemptAt?: string | null
+  lastError?: string | null
+  sentAt?: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+export interface NotificationItem {
+  id: string
+  requestId?: string
+  actorId?: string
+  actorName?: string
+  actorUsername?: string
+  type: NotificationType
+  title: string
+  content?: string
+  read: boolean
+  createdAt: string
+}
+
+export type WebhookEvent = 'created' | 'edited' | 'status_change' | 'comment' | 'attachment'
+
+export interface WebhookItem {
+  id: string
+  name: string
+  url: string
+  // Empty means the endpoint receives every event.
+  events: WebhookEvent[]
+  isActive: boolean
+  hasSecret: boolean
+  pendingCount: number
+  failedCount: number
+  lastDeliveryStatus?: WebhookDeliveryStatus
+  lastDeliveryAt?: string
+  createdAt: string
+  updatedAt: string
+}
+
+export type WebhookDeliveryStatus = 'pending' | 'success' | 'failed'
+
+export interface WebhookDelivery {
+  id: string
+  event: WebhookEvent | 'ping'
+  requestId?: string
+  payload: unknown
+  status: WebhookDeliveryStatus
+  attempts: number
+  nextAttemptAt?: string
+  lastStatusCode?: number
+  lastError?: string
+  responseBody?: string
+  deliveredAt?: string
+  createdAt: string
+  updatedAt: string
+}
+
+// Same keys and values as the request list query; requesterId/implementerId may be '@me'.
+// Multi-value filters are stored comma-separated, as `/api/requests` also accepts them.
+export interface SavedViewFilters {
+  q?: string
+  status?: string
+  priority?: string
+  category?: string
+  domain?: string
+  contactPerson?: string
+  // Single exact tag, from views saved before tag any/all existed.
+  tag?: string
+  tagsAny?: string
+  tagsAll?: string
+  notTags?: string
+  requesterId?: string
+  implementerId?: string
+  reviewerId?: string
+  notStatus?: string
+  notPriority?: string
+  notCategory?: string
+  notDomain?: string
+  notContactPerson?: string
+  notRequesterId?: string
+  notImplementerId?: string
+  notReviewerId?: string
+  createdFrom?: string
+  createdTo?: string
+  updatedFrom?: string
+  updatedTo?: string
+  noImplementer?: boolean
+  noDomain?: boolean
+  archived?: 'include' | 'only'
+  overdue?: boolean
+}
+
+export interface SavedView {
+  id: string
+  name: string
+  filters: SavedViewFilters
+  sort: { sortBy: string; sortOrder: 'asc' | 'desc' } | null
+  hiddenColumns: string[]
+  shared: boolean
+  ownerId: string
+  ownerName?: string
+  ownerUsername?: string
+  isOwner: boolean
+  canEdit: boolean
+  pinned: boolean
+  createdAt: string
+  updatedAt: string
+}
+
+export interface PinnedView extends SavedView {
+  count: number
+}
@@ -1,12 +1,34 @@
-import type { RequestItem, Role, User } from '@/types/domain'
+import type {
+  RequestItem,
+  Role,
+  User,
+  VisibilityPolicy,
+  WorkflowDefinition,
+  WorkflowField,
+  WorkflowTransition,
+} from '@/types/domain'
 
 export function isReviewerLike(role: Role) {
   return role === 'reviewer' || role === 'admin'
 }
 
-export function canViewRequest(user: User, req: RequestItem) {
-  void user
-  void req
+export const DRAFT_STATUS = 'Draft'
+
+// Moving into this state is refused while a blocking request is still open.
+export const BLOCKED_CLOSE_STATUS = 'Closed'
+
+// Mirrors the server check; `domains` are the domains of the viewer's own requests (for `own_domain`).
+export function canViewRequest(
+  user: User,
+  req: RequestItem,
+  scope: { visibility: VisibilityPolicy; domains: string[] } = { visibility: 'all', domains: [] },
+) {
+  if (req.status === DRAFT_STATUS) return req.requesterId === user.id
+  if (isReviewerLike(user.role)) return true
+  if (req.requesterId === user.id || req.implementerId === user.id) return true
+  if (scope.visibility === 'own') return false
+  if (scope.visibility === 'own_domain') return !!req.domain && scope.domains.includes(req.domain)
+  if (scope.visibility === 'confidential') return !req.confidential
   return true
 }
 
@@ -15,6 +37,7 @@ export function canCreateRequest(user: User) {
 }
 
 export function canEditRequest(user: User, req: RequestItem) {
+  if (req.status === DRAFT_STATUS) return req.requesterId === user.id
   if (isReviewerLike(user.role)) return true
   const editableStatuses: RequestItem['status'][] = ['Submitted', 'NeedInfo']
   return req.requesterId === user.id && editableStatuses.includes(req.status)
@@ -24,6 +47,25 @@ export function canReview(user: User) {
   return isReviewerLike(user.role)
 }
 
-export function canDeleteRequest(user: User) {
+export function canDeleteRequest(user: User, req: RequestItem) {
+  if (req.status === DRAFT_STATUS && req.requesterId === user.id) return true
   return user.role === 'admin'
 }
+
+export function canPerformTransition(transition: WorkflowTransition, user: User, req: RequestItem) {
+  if (transition.roles.includes(user.role)) return true
+  return transition.roles.includes('owner') && req.requesterId === user.id
+}
+
+export function availableTransitions(workflow: WorkflowDefinition | null, user: User | null, req: RequestItem) {
+  if (!workflow || !user) return []
+  return workflow.transitions.filter((t) => t.from === req.status && canPerformTransition(t, user, req))
+}
+
+export function missingTransitionFields(transition: WorkflowTransition, payload: Record<string, unknown>) {
+  return transition.requires.filter((entry) => entry.split('|').every((field) => !String(payload[field] ?? '').trim()))
+}
+
+export function transitionUsesField(transition: WorkflowTransition, field: WorkflowField) {
+  return transition.requires.some((entry) => entry.split('|').includes(field))
+}
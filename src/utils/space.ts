@@ -0,0 +1,9 @@
+const SPACE_KEY = 'urm_space'
+
+export function getSpaceId() {
+  return localStorage.getItem(SPACE_KEY) || ''
+}
+
+export function setSpaceId(spaceId: string) {
+  localStorage.setItem(SPACE_KEY, spaceId)
+}
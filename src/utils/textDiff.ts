@@ -0,0 +1,68 @@
+export type DiffPart = { type: 'same' | 'add' | 'del'; text: string }
+
+// Words for Latin text, single characters for CJK, and runs of whitespace.
+const TOKEN_PATTERN = /\s+|[\u3000-\u303f\u4e00-\u9fff\uff00-\uffef]|[^\s\u3000-\u303f\u4e00-\u9fff\uff00-\uffef]+/g
+
+// Beyond this many LCS cells the diff falls back to "removed everything, added everything".
+const MAX_CELLS = 2_000_000
+
+function tokenize(text: string) {
+  return text.match(TOKEN_PATTERN) ?? []
+}
+
+function push(parts: DiffPart[], type: DiffPart['type'], text: string) {
+  const last = parts[parts.length - 1]
+  if (last && last.type === type) last.text += text
+  else parts.push({ type, text })
+}
+
+export function diffWords(before: string, after: string): DiffPart[] {
+  const a = tokenize(before)
+  const b = tokenize(after)
+  // Common prefix and suffix are cheap and keep the LCS table small for typical edits.
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1
+    endB -= 1
+  }
+
+  const parts: DiffPart[] = []
+  if (start) push(parts, 'same', a.slice(0, start).join(''))
+  const midA = a.slice(start, endA)
+  const midB = b.slice(start, endB)
+  if ((midA.length + 1) * (midB.length + 1) > MAX_CELLS) {
+    if (midA.length) push(parts, 'del', midA.join(''))
+    if (midB.length) push(parts, 'add', midB.join(''))
+  } else {
+    const cols = midB.length + 1
+    const lcs = new Uint32Array((midA.length + 1) * cols)
+    for (let i = midA.length - 1; i >= 0; i -= 1) {
+      for (let j = midB.length - 1; j >= 0; j -= 1) {
+        lcs[i * cols + j] =
+          midA[i] === midB[j] ? lcs[(i + 1) * cols + j + 1] + 1 : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1])
+      }
+    }
+    let i = 0
+    let j = 0
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push(parts, 'same', midA[i])
+        i += 1
+        j += 1
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        push(parts, 'del', midA[i])
+        i += 1
+      } else {
+        push(parts, 'add', midB[j])
+        j += 1
+      }
+    }
+    while (i < midA.length) push(parts, 'del', midA[i++])
+    while (j < midB.length) push(parts, 'add', midB[j++])
+  }
+  if (endA < a.length) push(parts, 'same', a.slice(endA).join(''))
+  return parts
+}
@@ -14,3 +14,10 @@ export function formatDate(value?: string) {
   return dayjs(value).format('YYYY-MM-DD')
 }
 
+
+// Durations under two days read in hours, longer ones in days.
+export function formatHours(hours?: number | null) {
+  if (hours === null || hours === undefined) return '-'
+  if (hours < 48) return `${Math.round(hours * 10) / 10} 小时`
+  return `${Math.round((hours / 24) * 10) / 10} 天`
+}